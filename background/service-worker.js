@@ -2,12 +2,35 @@
 import { RecordingManager } from '../services/recording-manager.js';
 import { StorageManager } from '../services/storage-manager.js';
 import { ApiService } from '../services/api-service.js';
+import { MeetingTracker } from '../services/meeting-tracker.js';
+import { getAutoRecordRules, shouldAutoStart, shouldAutoStop } from '../services/auto-record-rules.js';
+import { MeetingPlatformRegistry, PLATFORM_SCRIPTS } from '../platforms/index.js';
+import { TRANSCRIPT_FORMATS, exportTranscript } from '../services/transcript-export.js';
+import { RecordingScheduler, SCHEDULE_STATUS } from '../services/scheduler.js';
+
+// How long a scheduled recording waits for its meeting page to load
+const SCHEDULED_TAB_LOAD_TIMEOUT_MS = 30000;
+
+// How long stopping waits for a meeting tab to hand over its collected data
+const MEETING_FLUSH_TIMEOUT_MS = 3000;
+
+// Injected into meeting tabs after the platform adapters, in this order
+const MEETING_SCRIPTS = [
+    'content/meeting-detector.js',
+    'content/meeting-collector.js',
+    'content/participant-tracker.js',
+    'content/caption-collector.js',
+    'content/speaker-tracker.js',
+    'content/chat-collector.js'
+];
 
 class BackgroundService {
     constructor() {
         this.recordingManager = new RecordingManager();
         this.storageManager = new StorageManager();
         this.apiService = new ApiService();
+        this.meetingTracker = new MeetingTracker();
+        this.scheduler = new RecordingScheduler(this.storageManager);
 
         this.init();
     }
@@ -21,6 +44,22 @@ class BackgroundService {
 
         // Listen for tab updates to inject content scripts
         chrome.tabs.onUpdated.addListener(this.handleTabUpdate.bind(this));
+        chrome.tabs.onRemoved.addListener(this.handleTabRemoved.bind(this));
+
+        // Listen for keyboard shortcuts declared under "commands"
+        chrome.commands.onCommand.addListener(this.handleCommand.bind(this));
+
+        // Listen for scheduled recordings starting and reaching their limit
+        chrome.alarms.onAlarm.addListener(this.handleAlarm.bind(this));
+
+        // Rehydrate any live session before answering messages, then
+        // finalize capture sessions left behind by a crash or restart
+        this.ready = this.restoreRecordingSession();
+        this.ready.then(async () => {
+            await this.storageManager.migrateLegacyMedia();
+            await this.recordingManager.recoverOrphanedSessions();
+            await this.scheduler.syncAlarms();
+        });
 
         console.log('Meeting Recorder Pro: Background service initialized');
     }
@@ -42,9 +81,14 @@ class BackgroundService {
         try {
             const { action, data } = request;
 
+            await this.ready;
+
             switch (action) {
                 case 'START_RECORDING':
-                    return await this.startRecording(data);
+                    return await this.startRecording({
+                        ...data,
+                        tabId: data?.tabId || sender.tab?.id
+                    });
 
                 case 'STOP_RECORDING':
                     return await this.stopRecording();
@@ -55,12 +99,21 @@ class BackgroundService {
                 case 'RESUME_RECORDING':
                     return await this.resumeRecording();
 
+                case 'ADD_MARKER':
+                    return await this.recordingManager.addMarker(data);
+
                 case 'GET_RECORDING_STATUS':
                     return this.getRecordingStatus();
 
                 case 'GET_RECORDINGS':
                     return await this.getRecordings();
 
+                case 'GET_RECORDING_SOURCE':
+                    return await this.getRecordingSource(data.id);
+
+                case 'CREATE_CLIP':
+                    return await this.createClip(data);
+
                 case 'DELETE_RECORDING':
                     return await this.deleteRecording(data.id);
 
@@ -73,6 +126,72 @@ class BackgroundService {
                 case 'GET_SETTINGS':
                     return await this.getSettings();
 
+                case 'GET_MEDIA_DEVICES':
+                    return await this.getMediaDevices();
+
+                case 'SET_PREFERRED_DEVICE':
+                    return await this.setPreferredDevice(data.kind, data.deviceId);
+
+                case 'RECORDING_COMPLETE':
+                    return await this.recordingManager.handleRecordingData(data);
+
+                case 'RECORDING_ERROR':
+                    return await this.handleRecordingError(request);
+
+                case 'AUDIO_LEVELS':
+                case 'MIC_SILENT':
+                    // Content scripts only hear from the offscreen document
+                    // through the background
+                    await this.notifyActiveTabs(action, data);
+                    return { success: true };
+
+                case 'GET_MEETING_PLATFORMS':
+                    return {
+                        success: true,
+                        platforms: MeetingPlatformRegistry.getAll().map(({ id, name }) => ({ id, name }))
+                    };
+
+                case 'MEETING_JOINED':
+                    return await this.handleMeetingJoined(sender.tab, data);
+
+                case 'MEETING_LEFT':
+                    return await this.handleMeetingLeft(sender.tab?.id);
+
+                case 'PARTICIPANTS_CHANGED':
+                    return await this.recordMeetingData(sender.tab, (sessionId) =>
+                        this.recordingManager.meetingData.addParticipantEvents(sessionId, data)
+                    );
+
+                case 'CAPTIONS_CAPTURED':
+                    return await this.recordMeetingData(sender.tab, (sessionId) =>
+                        this.recordingManager.meetingData.addCaptions(sessionId, data.lines)
+                    );
+
+                case 'SPEAKER_INTERVALS':
+                    return await this.recordMeetingData(sender.tab, (sessionId) =>
+                        this.recordingManager.meetingData.addSpeakerIntervals(sessionId, data.intervals)
+                    );
+
+                case 'CHAT_MESSAGES':
+                    return await this.recordMeetingData(sender.tab, (sessionId) =>
+                        this.recordingManager.meetingData.addChatMessages(sessionId, data.messages)
+                    );
+
+                case 'EXPORT_TRANSCRIPT':
+                    return await this.exportTranscript(data.id, data.format);
+
+                case 'GET_SCHEDULES':
+                    return { success: true, schedules: await this.scheduler.getSchedules() };
+
+                case 'SAVE_SCHEDULE':
+                    return await this.saveSchedule(data);
+
+                case 'CANCEL_SCHEDULE':
+                    return await this.cancelSchedule(data.id);
+
+                case 'RETRY_RECORDING_STAGE':
+                    return await this.recordingManager.retryRecordingStage(data.id, data.stage);
+
                 default:
                     console.warn('Unknown action:', action);
                     return { success: false, error: 'Unknown action' };
@@ -83,25 +202,263 @@ class BackgroundService {
         }
     }
 
+    // Shortcuts do what the matching widget control does, and the widget in
+    // the tab the shortcut was pressed in confirms it
+    async handleCommand(command, tab) {
+        await this.ready;
+
+        const { isRecording, isPaused } = this.recordingManager;
+        let performed;
+        let result;
+
+        switch (command) {
+            case 'toggle-recording':
+                if (!isRecording) {
+                    return await this.startRecordingFromShortcut(tab);
+                }
+                performed = 'stop';
+                result = await this.stopRecording();
+                break;
+
+            case 'toggle-pause':
+                performed = isPaused ? 'resume' : 'pause';
+                result = isPaused ? await this.resumeRecording() : await this.pauseRecording();
+                break;
+
+            case 'add-marker':
+                performed = 'marker';
+                result = await this.recordingManager.addMarker();
+                break;
+
+            case 'toggle-widget':
+                await this.sendToTab(tab, 'TOGGLE_WIDGET');
+                return;
+
+            default:
+                console.warn('Unknown command:', command);
+                return;
+        }
+
+        await this.sendToTab(tab, 'SHORTCUT_TRIGGERED', {
+            performed,
+            success: result.success,
+            error: result.error,
+            offset: result.offset
+        });
+    }
+
+    // The widget starts the recording with its own source selection; pages
+    // without one record the screen and microphone
+    async startRecordingFromShortcut(tab) {
+        if (await this.sendToTab(tab, 'SHORTCUT_START')) return;
+
+        await this.startRecording({
+            includeScreen: true,
+            includeAudio: true,
+            tabId: tab?.id
+        });
+    }
+
+    async handleAlarm(alarm) {
+        await this.ready;
+
+        const parsed = this.scheduler.parseAlarm(alarm.name);
+        if (!parsed) return;
+
+        const schedule = await this.scheduler.getSchedule(parsed.scheduleId);
+        if (!schedule) return;
+
+        if (parsed.type === 'start') {
+            // Alarms missed while the machine slept fire on wake, possibly
+            // after the schedule's whole window has passed
+            if (Date.now() >= this.scheduler.getEndTime(schedule)) {
+                if (schedule.status === SCHEDULE_STATUS.SCHEDULED) {
+                    await this.scheduler.markFinished(schedule.id, SCHEDULE_STATUS.MISSED, 'The computer was asleep at the start time');
+                }
+                return;
+            }
+
+            await this.runSchedule(schedule);
+        } else {
+            await this.finishSchedule(schedule);
+        }
+    }
+
+    async saveSchedule(data) {
+        try {
+            const schedule = await this.scheduler.saveSchedule(data);
+            return { success: true, schedule };
+        } catch (error) {
+            console.error('Failed to save schedule:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async cancelSchedule(scheduleId) {
+        try {
+            const schedule = await this.scheduler.getSchedule(scheduleId);
+
+            // Cancelling a schedule that is recording ends its recording
+            if (schedule?.status === SCHEDULE_STATUS.RECORDING &&
+                this.recordingManager.sessionId === schedule.sessionId) {
+                await this.stopRecording();
+            }
+
+            await this.scheduler.cancelSchedule(scheduleId);
+            return { success: true };
+        } catch (error) {
+            console.error('Failed to cancel schedule:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Scheduled recordings capture the microphone only. Chrome hands out a
+    // tab capture stream only after the user has clicked the extension (or
+    // used a shortcut) on that tab, which nobody has done when an alarm
+    // fires. The meeting tab is still opened and tied to the recording, so
+    // its title, captions and other meeting data are collected.
+    async runSchedule(schedule) {
+        if (schedule.status !== SCHEDULE_STATUS.SCHEDULED) return;
+
+        try {
+            if (this.recordingManager.isRecording) {
+                throw new Error('Another recording was already in progress');
+            }
+
+            const tab = await this.openScheduledTab(schedule);
+            const result = await this.startRecording({
+                includeAudio: true,
+                tabId: tab.id
+            });
+
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to start recording');
+            }
+
+            await this.scheduler.markRecording(schedule.id, {
+                tabId: tab.id,
+                sessionId: this.recordingManager.sessionId
+            });
+
+            chrome.notifications.create({
+                type: 'basic',
+                iconUrl: 'icons/icon48.png',
+                title: 'Scheduled Recording Started',
+                message: 'Recording your microphone only. To include the meeting audio, stop this recording and start a new one from the extension in the meeting tab.'
+            });
+        } catch (error) {
+            console.error('Scheduled recording failed:', error);
+            await this.scheduler.markFinished(schedule.id, SCHEDULE_STATUS.FAILED, error.message);
+
+            chrome.notifications.create({
+                type: 'basic',
+                iconUrl: 'icons/icon48.png',
+                title: 'Scheduled Recording Failed',
+                message: error.message
+            });
+        }
+    }
+
+    async finishSchedule(schedule) {
+        if (schedule.status !== SCHEDULE_STATUS.RECORDING) return;
+
+        // A recording stopped by hand may have been followed by another one
+        if (this.recordingManager.isRecording && this.recordingManager.sessionId === schedule.sessionId) {
+            await this.stopRecording();
+        }
+
+        await this.scheduler.markFinished(schedule.id, SCHEDULE_STATUS.COMPLETED);
+    }
+
+    // Focuses an open tab for the schedule's meeting, or opens its URL.
+    // Platform schedules prefer a tab that is already in a call.
+    async openScheduledTab(schedule) {
+        const tabs = await chrome.tabs.query({});
+        let tab;
+
+        if (schedule.url) {
+            const target = new URL(schedule.url);
+            tab = tabs.find(candidate => {
+                if (!candidate.url) return false;
+                const { origin, pathname } = new URL(candidate.url);
+                return origin === target.origin && pathname === target.pathname;
+            });
+        } else {
+            const meetings = await this.meetingTracker.getMeetings();
+            const platformTabs = tabs.filter(candidate =>
+                candidate.url && MeetingPlatformRegistry.findByUrl(candidate.url)?.id === schedule.platform
+            );
+
+            tab = platformTabs.find(candidate => meetings[candidate.id]) || platformTabs[0];
+
+            if (!tab) {
+                const platform = MeetingPlatformRegistry.get(schedule.platform);
+                throw new Error(`No ${platform?.name || schedule.platform} tab was open`);
+            }
+        }
+
+        if (tab) {
+            await chrome.tabs.update(tab.id, { active: true });
+            await chrome.windows.update(tab.windowId, { focused: true });
+            return tab;
+        }
+
+        tab = await chrome.tabs.create({ url: schedule.url });
+        await this.waitForTabLoad(tab.id);
+        return tab;
+    }
+
+    waitForTabLoad(tabId) {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                chrome.tabs.onUpdated.removeListener(listener);
+                reject(new Error('The meeting page did not finish loading'));
+            }, SCHEDULED_TAB_LOAD_TIMEOUT_MS);
+
+            const listener = (updatedTabId, changeInfo) => {
+                if (updatedTabId !== tabId || changeInfo.status !== 'complete') return;
+
+                clearTimeout(timeout);
+                chrome.tabs.onUpdated.removeListener(listener);
+                resolve();
+            };
+
+            chrome.tabs.onUpdated.addListener(listener);
+        });
+    }
+
+    async restoreRecordingSession() {
+        const status = await this.recordingManager.restoreState();
+
+        if (status.isRecording) {
+            chrome.action.setBadgeText({ text: status.isPaused ? '||' : 'REC' });
+            chrome.action.setBadgeBackgroundColor({ color: '#EF4444' });
+        } else {
+            chrome.action.setBadgeText({ text: '' });
+        }
+    }
+
     async handleTabUpdate(tabId, changeInfo, tab) {
+        // Navigating away can unload the detector before it reports leaving
+        if (changeInfo.url) {
+            const meeting = await this.meetingTracker.getMeeting(tabId);
+            const { origin, pathname } = new URL(changeInfo.url);
+
+            if (meeting && meeting.url) {
+                const meetingUrl = new URL(meeting.url);
+                if (meetingUrl.origin !== origin || meetingUrl.pathname !== pathname) {
+                    await this.handleMeetingLeft(tabId);
+                }
+            }
+        }
+
         // Inject content script into meeting platforms
         if (changeInfo.status === 'complete' && tab.url) {
-            const meetingPlatforms = [
-                'meet.google.com',
-                'zoom.us',
-                'teams.microsoft.com',
-                'webex.com'
-            ];
-
-            const isMeetingPlatform = meetingPlatforms.some(domain =>
-                tab.url.includes(domain)
-            );
-
-            if (isMeetingPlatform) {
+            if (MeetingPlatformRegistry.findByUrl(tab.url)) {
                 try {
                     await chrome.scripting.executeScript({
                         target: { tabId },
-                        files: ['content/meeting-detector.js']
+                        files: [...PLATFORM_SCRIPTS, ...MEETING_SCRIPTS]
                     });
                 } catch (error) {
                     console.warn('Could not inject meeting detector:', error);
@@ -110,6 +467,121 @@ class BackgroundService {
         }
     }
 
+    async handleTabRemoved(tabId) {
+        await this.handleMeetingLeft(tabId);
+    }
+
+    async handleMeetingJoined(tab, meeting) {
+        try {
+            if (!tab) {
+                throw new Error('Meeting events must come from a tab');
+            }
+
+            const entry = await this.meetingTracker.join(tab.id, {
+                ...meeting,
+                title: this.recordingManager.extractMeetingTitle({ title: meeting.title, url: meeting.url })
+            });
+
+            await this.maybeAutoStart(tab.id, entry);
+
+            return { success: true, meeting: entry };
+        } catch (error) {
+            console.error('Failed to track meeting:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async handleMeetingLeft(tabId) {
+        try {
+            if (tabId === undefined) {
+                return { success: true, meeting: null };
+            }
+
+            const meeting = await this.meetingTracker.leave(tabId);
+            if (meeting) {
+                await this.maybeAutoStop(tabId);
+            }
+
+            return { success: true, meeting };
+        } catch (error) {
+            console.error('Failed to end meeting:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Collectors run in every meeting tab, but only the tab being recorded
+    // contributes to the recording
+    async recordMeetingData(tab, write) {
+        try {
+            const { isRecording, sessionId, tabId } = this.recordingManager;
+
+            if (!isRecording || !sessionId || (tabId && tab?.id !== tabId)) {
+                return { success: false, error: 'This tab is not being recorded' };
+            }
+
+            await write(sessionId);
+            return { success: true };
+        } catch (error) {
+            console.error('Failed to record meeting data:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Collectors hold on to what is still in progress (the caption line being
+    // spoken, open speaking turns) until they stop, and recordMeetingData
+    // turns data away once the recording has stopped, so they are asked to
+    // report it first. A tab that does not answer in time loses only that.
+    async flushMeetingData(tabId) {
+        const tabIds = tabId ? [tabId] : (await chrome.tabs.query({})).map(tab => tab.id);
+
+        await Promise.all(tabIds.map(id => {
+            let timer;
+            const timeout = new Promise(resolve => {
+                timer = setTimeout(resolve, MEETING_FLUSH_TIMEOUT_MS);
+            });
+
+            return Promise.race([chrome.tabs.sendMessage(id, { action: 'FLUSH_MEETING_DATA' }), timeout])
+                .catch(error => console.debug(`Could not flush meeting data from tab ${id}:`, error.message))
+                .finally(() => clearTimeout(timer));
+        }));
+    }
+
+    async maybeAutoStart(tabId, meeting) {
+        const settings = await this.storageManager.getSettings();
+        const rules = getAutoRecordRules(settings);
+
+        if (this.recordingManager.isRecording || !shouldAutoStart(rules, meeting)) {
+            return;
+        }
+
+        // The widget in the meeting tab counts down and starts the recording
+        // with its own source selection, so the user can still cancel
+        try {
+            await chrome.tabs.sendMessage(tabId, {
+                action: 'AUTO_START_PENDING',
+                data: {
+                    countdownSeconds: rules.countdownSeconds,
+                    meeting
+                }
+            });
+        } catch (error) {
+            console.warn('Could not offer auto-start to tab:', tabId, error.message);
+        }
+    }
+
+    async maybeAutoStop(tabId) {
+        const settings = await this.storageManager.getSettings();
+
+        if (!this.recordingManager.isRecording ||
+            this.recordingManager.tabId !== tabId ||
+            !shouldAutoStop(getAutoRecordRules(settings))) {
+            return;
+        }
+
+        console.log('Meeting ended, stopping recording for tab:', tabId);
+        await this.stopRecording();
+    }
+
     async startRecording(options = {}) {
         try {
             const result = await this.recordingManager.startRecording(options);
@@ -121,7 +593,8 @@ class BackgroundService {
 
                 // Notify all tabs
                 await this.notifyAllTabs('RECORDING_STARTED', {
-                    startTime: new Date().toISOString()
+                    startTime: result.startTime,
+                    pauses: []
                 });
 
                 // Show notification
@@ -142,12 +615,20 @@ class BackgroundService {
 
     async stopRecording() {
         try {
+            const { sessionId } = this.recordingManager;
+
+            if (this.recordingManager.isRecording) {
+                await this.flushMeetingData(this.recordingManager.tabId);
+            }
+
             const result = await this.recordingManager.stopRecording();
 
             if (result.success) {
                 // Reset badge
                 chrome.action.setBadgeText({ text: '' });
 
+                await this.scheduler.completeSession(sessionId);
+
                 // Notify all tabs
                 await this.notifyAllTabs('RECORDING_STOPPED');
 
@@ -176,7 +657,7 @@ class BackgroundService {
                 chrome.action.setBadgeText({ text: '||' });
 
                 // Notify all tabs
-                await this.notifyAllTabs('RECORDING_PAUSED');
+                await this.notifyAllTabs('RECORDING_PAUSED', { pauses: result.pauses });
             }
 
             return result;
@@ -195,7 +676,7 @@ class BackgroundService {
                 chrome.action.setBadgeText({ text: 'REC' });
 
                 // Notify all tabs
-                await this.notifyAllTabs('RECORDING_RESUMED');
+                await this.notifyAllTabs('RECORDING_RESUMED', { pauses: result.pauses });
             }
 
             return result;
@@ -205,6 +686,22 @@ class BackgroundService {
         }
     }
 
+    async handleRecordingError({ error, sessionId }) {
+        try {
+            const result = await this.recordingManager.handleRecordingError({ error, sessionId });
+
+            if (result.stopped) {
+                chrome.action.setBadgeText({ text: '' });
+                await this.notifyAllTabs('RECORDING_STOPPED');
+            }
+
+            return result;
+        } catch (err) {
+            console.error('Failed to handle recording error:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
     getRecordingStatus() {
         return this.recordingManager.getStatus();
     }
@@ -234,6 +731,47 @@ class BackgroundService {
         }
     }
 
+    // Local media stays in IndexedDB for the page to read itself; cloud
+    // media is played and downloaded through a download URL
+    async getRecordingSource(recordingId) {
+        try {
+            const recording = await this.storageManager.getRecording(recordingId) ||
+                await this.apiService.getRecording(recordingId);
+
+            if (!recording) {
+                throw new Error('Recording not found');
+            }
+
+            if (recording.mediaId) {
+                return { success: true, recording };
+            }
+
+            const result = await this.apiService.generateDownloadUrl(recording.id);
+            if (!result.success) {
+                throw new Error(result.error || 'Could not get a download URL');
+            }
+
+            return { success: true, recording, url: result.downloadUrl };
+        } catch (error) {
+            console.error('Failed to get recording source:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async createClip({ sourceId, id, title, ranges }) {
+        try {
+            const source = await this.storageManager.getRecording(sourceId);
+            if (!source) {
+                throw new Error('Source recording not found');
+            }
+
+            return await this.recordingManager.createClip(source, { id, title, ranges });
+        } catch (error) {
+            console.error('Failed to create clip:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     async deleteRecording(recordingId) {
         try {
             // Delete from local storage
@@ -252,6 +790,32 @@ class BackgroundService {
         }
     }
 
+    async exportTranscript(recordingId, format) {
+        try {
+            const recording = await this.storageManager.getRecording(recordingId);
+            if (!recording || !(recording.transcript?.length || recording.chat?.length)) {
+                throw new Error('This recording has no transcript or chat');
+            }
+
+            if (!TRANSCRIPT_FORMATS[format]) {
+                throw new Error(`Unsupported transcript format: ${format}`);
+            }
+
+            const { extension, mimeType } = TRANSCRIPT_FORMATS[format];
+            const baseName = (recording.title || 'transcript').replace(/[\\/:*?"<>|]+/g, '_').trim();
+
+            return {
+                success: true,
+                content: exportTranscript(recording, format),
+                filename: `${baseName}.${extension}`,
+                mimeType
+            };
+        } catch (error) {
+            console.error('Failed to export transcript:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     async syncRecordings() {
         try {
             const result = await this.storageManager.syncPendingRecordings();
@@ -275,6 +839,12 @@ class BackgroundService {
     async updateSettings(newSettings) {
         try {
             await this.storageManager.updateSettings(newSettings);
+
+            // Gain changes apply to a recording that is already mixing
+            if ('micGain' in newSettings || 'systemAudioGain' in newSettings) {
+                await this.recordingManager.updateGains(newSettings);
+            }
+
             return { success: true };
         } catch (error) {
             console.error('Failed to update settings:', error);
@@ -292,6 +862,57 @@ class BackgroundService {
         }
     }
 
+    async getMediaDevices() {
+        const result = await this.recordingManager.getMediaDevices();
+        if (!result.success) {
+            return result;
+        }
+
+        const settings = await this.storageManager.getSettings() || {};
+        return { ...result, preferredDevices: settings.preferredDevices || {} };
+    }
+
+    async setPreferredDevice(kind, deviceId) {
+        try {
+            if (!['audioinput', 'videoinput'].includes(kind)) {
+                throw new Error(`Unknown device kind: ${kind}`);
+            }
+
+            await this.storageManager.setPreferredDevice(kind, deviceId);
+            return { success: true };
+        } catch (error) {
+            console.error('Failed to set preferred device:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Resolves to whether the tab had a content script to answer
+    async sendToTab(tab, action, data = {}) {
+        if (!tab?.id) return false;
+
+        try {
+            await chrome.tabs.sendMessage(tab.id, { action, data });
+            return true;
+        } catch (error) {
+            console.debug(`Could not reach tab ${tab.id}:`, error.message);
+            return false;
+        }
+    }
+
+    async notifyActiveTabs(action, data = {}) {
+        try {
+            const tabs = await chrome.tabs.query({ active: true });
+
+            await Promise.all(tabs.map(tab =>
+                chrome.tabs.sendMessage(tab.id, { action, data }).catch(() => {
+                    // Tab might not have content script injected
+                })
+            ));
+        } catch (error) {
+            console.error('Failed to notify active tabs:', error);
+        }
+    }
+
     async notifyAllTabs(action, data = {}) {
         try {
             const tabs = await chrome.tabs.query({});
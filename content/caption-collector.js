@@ -0,0 +1,104 @@
+// content/caption-collector.js
+// Collects the platform's live captions while recording. Relies on the
+// platform adapter's `captions` selectors: `item` matches one caption block
+// (a speaker's turn), `speaker` and `text` the parts inside it. Captions have
+// to be turned on in the meeting for there to be anything to read.
+if (!window.__meetingRecorderCaptions) {
+    // A block that has not changed for this long is treated as finished
+    const CAPTION_IDLE_MS = 4000;
+    // Shortest span a line is given, so one seen only once still has a length
+    const MIN_LINE_MS = 1000;
+
+    class CaptionCollector extends MeetingCollector {
+        constructor(platform) {
+            super(platform, { pollInterval: CAPTION_IDLE_MS / 2 });
+            this.lines = new Map();
+            this.finished = new WeakMap();
+            this.lineCount = 0;
+        }
+
+        onStart() {
+            this.lines = new Map();
+            this.finished = new WeakMap();
+        }
+
+        onStop() {
+            return this.flush(Array.from(this.lines.keys()));
+        }
+
+        sample() {
+            const { item, speaker, text } = this.platform.selectors.captions;
+            const now = Date.now();
+            const blocks = this.queryAll(item);
+
+            for (const block of blocks) {
+                const lineText = this.readText(block, text);
+                if (!lineText) continue;
+
+                let line = this.lines.get(block);
+
+                // Platforms keep appending to a block while the same person
+                // talks, so a finished block that changes continues its line
+                if (!line && this.finished.has(block)) {
+                    if (this.finished.get(block).text === lineText) continue;
+                    line = this.reopen(block);
+                }
+
+                if (!line) {
+                    this.lines.set(block, {
+                        id: `${now}-${this.lineCount++}`,
+                        speaker: this.readText(block, speaker),
+                        text: lineText,
+                        startedAt: now,
+                        changedAt: now
+                    });
+                } else if (line.text !== lineText) {
+                    line.text = lineText;
+                    line.changedAt = now;
+                }
+            }
+
+            // Blocks scrolled out of the caption area and blocks nobody is
+            // adding to any more are done
+            const finished = Array.from(this.lines.entries())
+                .filter(([block, line]) => !block.isConnected || now - line.changedAt >= CAPTION_IDLE_MS)
+                .map(([block]) => block);
+
+            this.flush(finished);
+        }
+
+        reopen(block) {
+            const line = this.finished.get(block);
+
+            this.finished.delete(block);
+            this.lines.set(block, line);
+            return line;
+        }
+
+        flush(blocks) {
+            const lines = blocks.map(block => {
+                const line = this.lines.get(block);
+                this.lines.delete(block);
+                this.finished.set(block, line);
+
+                return {
+                    id: line.id,
+                    speaker: line.speaker,
+                    text: line.text,
+                    startedAt: new Date(line.startedAt).toISOString(),
+                    endedAt: new Date(Math.max(line.changedAt, line.startedAt + MIN_LINE_MS)).toISOString()
+                };
+            });
+
+            if (lines.length > 0) {
+                return this.report('CAPTIONS_CAPTURED', { lines });
+            }
+        }
+    }
+
+    const platform = MeetingPlatformRegistry.findByUrl(location.href);
+
+    window.__meetingRecorderCaptions = platform && platform.selectors.captions
+        ? new CaptionCollector(platform)
+        : true;
+}
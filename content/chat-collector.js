@@ -0,0 +1,59 @@
+// content/chat-collector.js
+// Captures in-meeting chat while recording. Relies on the platform adapter's
+// `chat` selectors: `item` matches one message and `text` the text inside
+// it. `sender` is looked up inside the message, or inside its closest
+// `group` for platforms that name the sender once per run of messages.
+// `idAttribute` names the attribute holding the platform's own message id,
+// if it has one. Most platforms only keep messages in the DOM while the chat
+// panel is open, and messages already there when recording starts are
+// stamped with the time they were first seen.
+if (!window.__meetingRecorderChat) {
+    class ChatCollector extends MeetingCollector {
+        constructor(platform) {
+            super(platform);
+            this.seen = new WeakSet();
+            this.messageCount = 0;
+        }
+
+        onStart() {
+            this.seen = new WeakSet();
+        }
+
+        sample() {
+            const { item, group, sender, text, idAttribute } = this.platform.selectors.chat;
+            const messages = [];
+            // Without a `group`, a message with no sender continues the run of
+            // the message above it
+            let lastSender = '';
+
+            for (const element of this.queryAll(item)) {
+                const scope = (group && element.closest(group)) || element;
+                const senderName = this.readText(scope, sender) || lastSender;
+                lastSender = senderName;
+
+                if (this.seen.has(element)) continue;
+
+                const messageText = this.readText(element, text);
+                if (!messageText) continue;
+
+                this.seen.add(element);
+                messages.push({
+                    id: (idAttribute && element.getAttribute(idAttribute)) || `${Date.now()}-${this.messageCount++}`,
+                    sender: senderName,
+                    text: messageText,
+                    sentAt: new Date().toISOString()
+                });
+            }
+
+            if (messages.length > 0) {
+                this.report('CHAT_MESSAGES', { messages });
+            }
+        }
+    }
+
+    const platform = MeetingPlatformRegistry.findByUrl(location.href);
+
+    window.__meetingRecorderChat = platform && platform.selectors.chat
+        ? new ChatCollector(platform)
+        : true;
+}
@@ -5,8 +5,11 @@ class RecorderWidget {
         this.isRecording = false;
         this.isPaused = false;
         this.startTime = null;
+        this.pauses = [];
         this.timer = null;
         this.isMinimized = false;
+        this.isHidden = false;
+        this.countdown = null;
 
         this.init();
     }
@@ -46,6 +49,17 @@ class RecorderWidget {
                     </div>
                     <div class="recording-time" id="recording-time">00:00</div>
                 </div>
+
+                <div class="level-meters" id="level-meters" style="display: none;">
+                    <div class="level-meter">
+                        <span class="level-label">Mic</span>
+                        <div class="level-track"><div class="level-fill" id="mic-level"></div></div>
+                    </div>
+                    <div class="level-meter">
+                        <span class="level-label">System</span>
+                        <div class="level-track"><div class="level-fill" id="system-level"></div></div>
+                    </div>
+                </div>
                 
                 <div class="widget-controls">
                     <button class="control-btn start-btn" id="start-btn" title="Start Recording">
@@ -73,6 +87,11 @@ class RecorderWidget {
                         </svg>
                     </button>
                 </div>
+
+                <div class="marker-bar" id="marker-bar" style="display: none;">
+                    <input type="text" class="marker-note" id="marker-note" placeholder="Add a note..." maxlength="200">
+                    <button class="marker-btn" id="marker-btn" title="Bookmark this moment">🔖</button>
+                </div>
                 
                 <div class="widget-settings" id="widget-settings">
                     <div class="setting-group">
@@ -81,6 +100,11 @@ class RecorderWidget {
                             <span class="checkmark"></span>
                             <span class="setting-label">Screen</span>
                         </label>
+                        <label class="setting-item" title="Record only this tab. Chrome allows this after the toolbar button or shortcut has been used on the tab">
+                            <input type="checkbox" id="record-tab">
+                            <span class="checkmark"></span>
+                            <span class="setting-label">Tab</span>
+                        </label>
                         <label class="setting-item">
                             <input type="checkbox" id="record-audio" checked>
                             <span class="checkmark"></span>
@@ -91,6 +115,19 @@ class RecorderWidget {
                             <span class="checkmark"></span>
                             <span class="setting-label">System</span>
                         </label>
+                        <label class="setting-item">
+                            <input type="checkbox" id="record-camera">
+                            <span class="checkmark"></span>
+                            <span class="setting-label">Camera</span>
+                        </label>
+                    </div>
+                    <div class="device-group">
+                        <select class="device-select" id="mic-device" title="Microphone">
+                            <option value="">Default microphone</option>
+                        </select>
+                        <select class="device-select" id="camera-device" title="Camera">
+                            <option value="">Default camera</option>
+                        </select>
                     </div>
                 </div>
             </div>
@@ -172,6 +209,39 @@ class RecorderWidget {
         stopBtn?.addEventListener('click', () => this.stopRecording());
         minimizeBtn?.addEventListener('click', () => this.toggleMinimize());
 
+        const markerBtn = this.widget.querySelector('#marker-btn');
+        const markerNote = this.widget.querySelector('#marker-note');
+
+        markerBtn?.addEventListener('click', () => this.addMarker());
+        markerNote?.addEventListener('keydown', (e) => {
+            // Meeting pages bind single-key shortcuts, so keep typing here
+            e.stopPropagation();
+            if (e.key === 'Enter') this.addMarker();
+        });
+
+        // Device lists come from the offscreen document, so only fetch them
+        // once the user reaches for the settings
+        const settings = this.widget.querySelector('#widget-settings');
+        settings?.addEventListener('mouseenter', () => this.loadDevices(), { once: true });
+
+        this.widget.querySelector('#mic-device')?.addEventListener('change', (e) => {
+            this.savePreferredDevice('audioinput', e.target.value);
+        });
+        this.widget.querySelector('#camera-device')?.addEventListener('change', (e) => {
+            this.savePreferredDevice('videoinput', e.target.value);
+        });
+
+        // Screen and tab are alternative video sources
+        const recordScreen = this.widget.querySelector('#record-screen');
+        const recordTab = this.widget.querySelector('#record-tab');
+
+        recordScreen?.addEventListener('change', () => {
+            if (recordScreen.checked) recordTab.checked = false;
+        });
+        recordTab?.addEventListener('change', () => {
+            if (recordTab.checked) recordScreen.checked = false;
+        });
+
         // Prevent widget from interfering with page interactions
         this.widget.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -188,7 +258,7 @@ class RecorderWidget {
 
             switch (action) {
                 case 'RECORDING_STARTED':
-                    this.updateRecordingState(true, false, data.startTime);
+                    this.updateRecordingState(true, false, data.startTime, data.pauses);
                     break;
 
                 case 'RECORDING_STOPPED':
@@ -196,18 +266,94 @@ class RecorderWidget {
                     break;
 
                 case 'RECORDING_PAUSED':
-                    this.updateRecordingState(true, true);
+                    this.updateRecordingState(true, true, null, data?.pauses);
                     break;
 
                 case 'RECORDING_RESUMED':
-                    this.updateRecordingState(true, false);
+                    this.updateRecordingState(true, false, null, data?.pauses);
+                    break;
+
+                case 'AUDIO_LEVELS':
+                    this.updateLevels(data.levels);
+                    break;
+
+                case 'MIC_SILENT':
+                    this.showWarning(`Your microphone has been silent for ${data.seconds} seconds. Is it muted?`);
+                    break;
+
+                case 'AUTO_START_PENDING':
+                    this.showAutoStartCountdown(data);
+                    break;
+
+                case 'SHORTCUT_START':
+                    this.startRecording().then(started => {
+                        if (started) this.showNotice('Recording started');
+                    });
+                    break;
+
+                case 'SHORTCUT_TRIGGERED':
+                    this.showShortcutResult(data);
                     break;
+
+                case 'TOGGLE_WIDGET':
+                    this.toggleVisibility();
+                    break;
+
+                // Other scripts in the page answer their own messages, and
+                // Chrome only delivers the first reply
+                default:
+                    return;
             }
 
             sendResponse({ success: true });
         });
     }
 
+    async loadDevices() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'GET_MEDIA_DEVICES'
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to list devices');
+            }
+
+            this.renderDeviceOptions('#mic-device', 'audioinput', 'Default microphone', response);
+            this.renderDeviceOptions('#camera-device', 'videoinput', 'Default camera', response);
+        } catch (error) {
+            console.debug('Could not load devices:', error);
+        }
+    }
+
+    renderDeviceOptions(selector, kind, defaultLabel, { devices, preferredDevices }) {
+        const select = this.widget.querySelector(selector);
+        const options = devices.filter(device => device.kind === kind);
+        const preferred = preferredDevices[kind];
+
+        select.replaceChildren(new Option(defaultLabel, ''));
+        options.forEach(device => select.add(new Option(device.label, device.deviceId)));
+
+        // A remembered device that is not plugged in records from the default
+        select.value = options.some(device => device.deviceId === preferred) ? preferred : '';
+    }
+
+    async savePreferredDevice(kind, deviceId) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'SET_PREFERRED_DEVICE',
+                data: { kind, deviceId }
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to save device');
+            }
+        } catch (error) {
+            console.error('Failed to save preferred device:', error);
+            this.showError(error.message);
+        }
+    }
+
     async checkRecordingStatus() {
         try {
             const response = await chrome.runtime.sendMessage({
@@ -218,7 +364,8 @@ class RecorderWidget {
                 this.updateRecordingState(
                     response.isRecording,
                     response.isPaused,
-                    response.startTime
+                    response.startTime,
+                    response.pauses
                 );
             }
         } catch (error) {
@@ -228,12 +375,14 @@ class RecorderWidget {
 
     async startRecording() {
         const recordScreen = this.widget.querySelector('#record-screen').checked;
+        const recordTab = this.widget.querySelector('#record-tab').checked;
         const recordAudio = this.widget.querySelector('#record-audio').checked;
         const recordSystemAudio = this.widget.querySelector('#record-system-audio').checked;
+        const recordCamera = this.widget.querySelector('#record-camera').checked;
 
-        if (!recordScreen && !recordAudio) {
+        if (!recordScreen && !recordTab && !recordAudio && !recordCamera) {
             this.showError('Please select at least one recording option');
-            return;
+            return false;
         }
 
         try {
@@ -241,17 +390,22 @@ class RecorderWidget {
                 action: 'START_RECORDING',
                 data: {
                     includeScreen: recordScreen,
+                    includeTab: recordTab,
                     includeAudio: recordAudio,
-                    includeSystemAudio: recordSystemAudio
+                    includeSystemAudio: recordSystemAudio,
+                    includeCamera: recordCamera
                 }
             });
 
             if (!response.success) {
                 throw new Error(response.error || 'Failed to start recording');
             }
+
+            return true;
         } catch (error) {
             console.error('Failed to start recording:', error);
             this.showError(error.message);
+            return false;
         }
     }
 
@@ -300,7 +454,34 @@ class RecorderWidget {
         }
     }
 
-    updateRecordingState(isRecording, isPaused, startTime = null) {
+    async addMarker() {
+        const markerBtn = this.widget.querySelector('#marker-btn');
+        const markerNote = this.widget.querySelector('#marker-note');
+
+        if (markerBtn.disabled) return;
+        markerBtn.disabled = true;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'ADD_MARKER',
+                data: { note: markerNote.value }
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to add bookmark');
+            }
+
+            markerNote.value = '';
+            this.showNotice(`Bookmark added at ${this.formatElapsed(response.offset)}`);
+        } catch (error) {
+            console.error('Failed to add bookmark:', error);
+            this.showError(error.message);
+        } finally {
+            markerBtn.disabled = false;
+        }
+    }
+
+    updateRecordingState(isRecording, isPaused, startTime = null, pauses = null) {
         this.isRecording = isRecording;
         this.isPaused = isPaused;
 
@@ -308,6 +489,10 @@ class RecorderWidget {
             this.startTime = new Date(startTime);
         }
 
+        if (pauses) {
+            this.pauses = pauses;
+        }
+
         // Update UI
         const startBtn = this.widget.querySelector('#start-btn');
         const pauseBtn = this.widget.querySelector('#pause-btn');
@@ -317,6 +502,9 @@ class RecorderWidget {
         const statusIndicator = this.widget.querySelector('#status-indicator');
 
         if (isRecording) {
+            // Someone started recording before the countdown finished
+            this.cancelAutoStart();
+
             startBtn.style.display = 'none';
             stopBtn.style.display = 'flex';
 
@@ -326,6 +514,7 @@ class RecorderWidget {
                 statusText.textContent = 'Paused';
                 statusIndicator.className = 'status-indicator paused';
                 this.stopTimer();
+                this.renderElapsedTime();
             } else {
                 pauseBtn.style.display = 'flex';
                 resumeBtn.style.display = 'none';
@@ -334,6 +523,9 @@ class RecorderWidget {
                 this.startTimer();
             }
 
+            this.widget.querySelector('#level-meters').style.display = 'flex';
+            this.widget.querySelector('#marker-bar').style.display = 'flex';
+
             // Disable settings while recording
             this.widget.querySelector('#widget-settings').style.opacity = '0.5';
             this.widget.querySelector('#widget-settings').style.pointerEvents = 'none';
@@ -345,29 +537,62 @@ class RecorderWidget {
             statusText.textContent = 'Ready to Record';
             statusIndicator.className = 'status-indicator ready';
 
+            this.widget.querySelector('#level-meters').style.display = 'none';
+            this.widget.querySelector('#marker-bar').style.display = 'none';
+            this.updateLevels({});
+
             // Enable settings
             this.widget.querySelector('#widget-settings').style.opacity = '1';
             this.widget.querySelector('#widget-settings').style.pointerEvents = 'auto';
 
             this.stopTimer();
+            this.startTime = null;
+            this.pauses = [];
             this.widget.querySelector('#recording-time').textContent = '00:00';
         }
     }
 
+    updateLevels(levels = {}) {
+        ['mic', 'system'].forEach(name => {
+            const fill = this.widget.querySelector(`#${name}-level`);
+            const meter = fill.closest('.level-meter');
+            const level = levels[name];
+
+            // Sources that are not being recorded have no meter
+            meter.style.opacity = level === undefined ? '0.4' : '1';
+            fill.style.width = `${Math.round((level || 0) * 100)}%`;
+        });
+    }
+
+    // Seconds actually recorded: wall-clock time since start minus pauses
+    getElapsedSeconds() {
+        const now = Date.now();
+        const pausedMs = this.pauses.reduce((total, pause) => {
+            const end = pause.end ? new Date(pause.end).getTime() : now;
+            return total + Math.max(0, end - new Date(pause.start).getTime());
+        }, 0);
+
+        return Math.max(0, Math.floor((now - this.startTime.getTime() - pausedMs) / 1000));
+    }
+
+    renderElapsedTime() {
+        if (!this.startTime) return;
+
+        this.widget.querySelector('#recording-time').textContent = this.formatElapsed(this.getElapsedSeconds());
+    }
+
+    formatElapsed(totalSeconds) {
+        const elapsed = Math.floor(totalSeconds);
+        const minutes = Math.floor(elapsed / 60).toString().padStart(2, '0');
+        const seconds = (elapsed % 60).toString().padStart(2, '0');
+        return `${minutes}:${seconds}`;
+    }
+
     startTimer() {
         this.stopTimer(); // Clear existing timer
 
-        const updateTimer = () => {
-            if (this.startTime) {
-                const elapsed = Math.floor((Date.now() - this.startTime.getTime()) / 1000);
-                const minutes = Math.floor(elapsed / 60).toString().padStart(2, '0');
-                const seconds = (elapsed % 60).toString().padStart(2, '0');
-                this.widget.querySelector('#recording-time').textContent = `${minutes}:${seconds}`;
-            }
-        };
-
-        updateTimer();
-        this.timer = setInterval(updateTimer, 1000);
+        this.renderElapsedTime();
+        this.timer = setInterval(() => this.renderElapsedTime(), 1000);
     }
 
     stopTimer() {
@@ -396,6 +621,28 @@ class RecorderWidget {
         }
     }
 
+    toggleVisibility() {
+        this.isHidden = !this.isHidden;
+        this.widget.classList.toggle('widget-hidden', this.isHidden);
+        this.showNotice(this.isHidden ? 'Recorder hidden' : 'Recorder shown');
+    }
+
+    showShortcutResult({ performed, success, error, offset }) {
+        if (!success) {
+            this.showError(error || 'Shortcut failed');
+            return;
+        }
+
+        const messages = {
+            stop: 'Recording stopped',
+            pause: 'Recording paused',
+            resume: 'Recording resumed',
+            marker: `Bookmark added at ${this.formatElapsed(offset || 0)}`
+        };
+
+        this.showNotice(messages[performed]);
+    }
+
     positionWidget() {
         // Position in top-right corner by default
         this.widget.style.top = '20px';
@@ -403,8 +650,73 @@ class RecorderWidget {
         this.widget.style.zIndex = '2147483647'; // Maximum z-index
     }
 
+    showAutoStartCountdown({ countdownSeconds, meeting }) {
+        if (this.isRecording || this.countdown) return;
+
+        if (!countdownSeconds) {
+            this.startRecording();
+            return;
+        }
+
+        const toast = document.createElement('div');
+        toast.className = 'recorder-countdown-toast';
+        toast.innerHTML = `
+            <span class="countdown-text"></span>
+            <button class="countdown-cancel" type="button">Cancel</button>
+        `;
+
+        const label = meeting?.title ? `"${meeting.title}"` : 'this meeting';
+        const text = toast.querySelector('.countdown-text');
+        let remaining = countdownSeconds;
+
+        const render = () => {
+            text.textContent = `Recording ${label} in ${remaining}s`;
+        };
+
+        render();
+        toast.querySelector('.countdown-cancel').addEventListener('click', () => {
+            this.cancelAutoStart();
+        });
+        document.body.appendChild(toast);
+
+        this.countdown = {
+            toast,
+            timer: setInterval(() => {
+                remaining--;
+
+                if (remaining > 0) {
+                    render();
+                    return;
+                }
+
+                this.cancelAutoStart();
+                this.startRecording();
+            }, 1000)
+        };
+    }
+
+    cancelAutoStart() {
+        if (!this.countdown) return;
+
+        clearInterval(this.countdown.timer);
+        this.countdown.toast.remove();
+        this.countdown = null;
+    }
+
     showError(message) {
-        // Create temporary error notification
+        this.showToast(message, '#EF4444');
+    }
+
+    showNotice(message) {
+        this.showToast(message, '#10B981', 2000);
+    }
+
+    showWarning(message) {
+        this.showToast(message, '#F59E0B', 6000);
+    }
+
+    showToast(message, background, duration = 3000) {
+        // Create temporary notification
         const errorEl = document.createElement('div');
         errorEl.className = 'recorder-error-toast';
         errorEl.textContent = message;
@@ -413,7 +725,7 @@ class RecorderWidget {
             top: 20px;
             left: 50%;
             transform: translateX(-50%);
-            background: #EF4444;
+            background: ${background};
             color: white;
             padding: 12px 20px;
             border-radius: 8px;
@@ -429,11 +741,12 @@ class RecorderWidget {
         setTimeout(() => {
             errorEl.style.animation = 'slideUp 0.3s ease-out forwards';
             setTimeout(() => errorEl.remove(), 300);
-        }, 3000);
+        }, duration);
     }
 
     destroy() {
         this.stopTimer();
+        this.cancelAutoStart();
         if (this.widget) {
             this.widget.remove();
         }
@@ -0,0 +1,156 @@
+// content/meeting-collector.js
+// Base class for the scripts that read meeting data out of a platform's page
+// while a recording is running. Injected after the platform adapters and
+// before the collectors built on it.
+if (!globalThis.MeetingCollector) {
+    // Meeting UIs mutate constantly, so DOM changes trigger at most one
+    // sample per this interval
+    const SAMPLE_THROTTLE_MS = 1000;
+
+    // Every collector in the page, so one flush request can reach them all
+    const collectors = [];
+
+    // The background asks for a flush before it stops the recording, and
+    // waits for the reply, so data still held by a collector (an unfinished
+    // caption line, an open speaking turn) arrives while it is still accepted
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.action !== 'FLUSH_MEETING_DATA') return;
+
+        // One collector failing must not hold back the others' reply
+        Promise.allSettled(collectors.map(collector => collector.stop()))
+            .then(() => sendResponse({ success: true }));
+        return true;
+    });
+
+    class MeetingCollector {
+        // `pollInterval` samples on a timer as well, for state that changes
+        // without touching the DOM, or that must be sampled at a steady rate
+        constructor(platform, { pollInterval = null } = {}) {
+            this.platform = platform;
+            this.pollInterval = pollInterval;
+            this.isCollecting = false;
+            this.observer = null;
+            this.pollTimer = null;
+            this.sampleScheduled = false;
+
+            collectors.push(this);
+            this.setupMessageListener();
+            this.checkRecordingStatus();
+        }
+
+        setupMessageListener() {
+            chrome.runtime.onMessage.addListener((message) => {
+                switch (message.action) {
+                    case 'RECORDING_STARTED':
+                        this.start();
+                        break;
+
+                    case 'RECORDING_STOPPED':
+                        this.stop();
+                        break;
+                }
+            });
+        }
+
+        async checkRecordingStatus() {
+            try {
+                const response = await chrome.runtime.sendMessage({
+                    action: 'GET_RECORDING_STATUS'
+                });
+
+                if (response.success && response.isRecording) {
+                    this.start();
+                }
+            } catch (error) {
+                console.debug('Meeting Recorder: Could not check recording status:', error);
+            }
+        }
+
+        start() {
+            if (this.isCollecting) return;
+
+            this.isCollecting = true;
+            this.onStart();
+
+            this.observer = new MutationObserver(() => this.scheduleSample());
+            this.observer.observe(document.documentElement, {
+                childList: true,
+                subtree: true,
+                characterData: true
+            });
+
+            if (this.pollInterval) {
+                this.pollTimer = setInterval(() => this.sample(), this.pollInterval);
+            }
+
+            this.sample();
+        }
+
+        // Resolves once whatever `onStop` reported has been received
+        async stop() {
+            if (!this.isCollecting) return;
+
+            this.isCollecting = false;
+
+            if (this.observer) {
+                this.observer.disconnect();
+                this.observer = null;
+            }
+
+            if (this.pollTimer) {
+                clearInterval(this.pollTimer);
+                this.pollTimer = null;
+            }
+
+            await this.onStop();
+        }
+
+        scheduleSample() {
+            if (this.sampleScheduled) return;
+
+            this.sampleScheduled = true;
+            setTimeout(() => {
+                this.sampleScheduled = false;
+                if (this.isCollecting) {
+                    this.sample();
+                }
+            }, SAMPLE_THROTTLE_MS);
+        }
+
+        // Overridden by collectors
+        onStart() {}
+
+        onStop() {}
+
+        sample() {}
+
+        queryAll(selector, root = document) {
+            if (!selector) return [];
+
+            try {
+                return Array.from(root.querySelectorAll(selector));
+            } catch (error) {
+                return [];
+            }
+        }
+
+        // Text of `selector` inside `element`, falling back to the labels
+        // platforms put on the element itself
+        readText(element, selector) {
+            const target = selector ? this.queryAll(selector, element)[0] : element;
+            const text = target
+                ? (selector ? target.textContent : target.getAttribute('aria-label') || target.textContent)
+                : '';
+
+            return (text || '').replace(/\s+/g, ' ').trim();
+        }
+
+        report(action, data) {
+            return chrome.runtime.sendMessage({ action, data }).catch((error) => {
+                console.debug('Meeting Recorder: Could not report', action, error);
+            });
+        }
+    }
+
+    globalThis.MeetingCollector = MeetingCollector;
+}
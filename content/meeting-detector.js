@@ -0,0 +1,119 @@
+// content/meeting-detector.js
+// Injected by the background service into meeting platform tabs after the
+// platform adapters, possibly more than once per page, so only the first
+// injection sets anything up.
+if (!window.__meetingRecorderDetector) {
+    // Platforms re-render their controls all the time, so a call only counts
+    // as over once the controls have been gone for this long
+    const LEAVE_GRACE_MS = 3000;
+    const CHECK_THROTTLE_MS = 500;
+
+    class MeetingDetector {
+        constructor(platform) {
+            this.platform = platform;
+            this.meeting = null;
+            this.missingSince = null;
+            this.checkScheduled = false;
+            this.observer = null;
+            this.pollTimer = null;
+
+            this.init();
+        }
+
+        init() {
+            // Controls appear and disappear without any navigation, so watch
+            // the DOM, and poll as well for the leave grace period to elapse
+            this.observer = new MutationObserver(() => this.scheduleCheck());
+            this.observer.observe(document.documentElement, { childList: true, subtree: true });
+            this.pollTimer = setInterval(() => this.check(), LEAVE_GRACE_MS);
+
+            window.addEventListener('pagehide', () => this.leave());
+
+            this.check();
+            console.log('Meeting Recorder: Watching for', this.platform.name, 'meetings');
+        }
+
+        scheduleCheck() {
+            if (this.checkScheduled) return;
+
+            this.checkScheduled = true;
+            setTimeout(() => {
+                this.checkScheduled = false;
+                this.check();
+            }, CHECK_THROTTLE_MS);
+        }
+
+        // A platform is in a call only while its in-call controls (the hang-up
+        // button) are on screen; landing pages, lobbies and "you left"
+        // screens never show them
+        isInCall() {
+            return (this.platform.selectors.inCall || []).some(selector => {
+                try {
+                    return document.querySelector(selector) !== null;
+                } catch (error) {
+                    return false;
+                }
+            });
+        }
+
+        check() {
+            const url = new URL(location.href);
+            const meetingId = this.platform.getMeetingId(url);
+
+            // Single-page apps can move straight from one call to another
+            if (this.meeting && meetingId && meetingId !== this.meeting.meetingId) {
+                this.leave();
+            }
+
+            if (this.isInCall()) {
+                this.missingSince = null;
+
+                if (!this.meeting) {
+                    this.join(meetingId);
+                }
+                return;
+            }
+
+            if (!this.meeting) return;
+
+            if (!this.missingSince) {
+                this.missingSince = Date.now();
+            } else if (Date.now() - this.missingSince >= LEAVE_GRACE_MS) {
+                this.leave();
+            }
+        }
+
+        join(meetingId) {
+            this.meeting = {
+                platform: this.platform.id,
+                meetingId,
+                title: document.title,
+                url: location.href
+            };
+
+            console.log('Meeting Recorder: Joined meeting', this.meeting);
+            this.report('MEETING_JOINED', this.meeting);
+        }
+
+        leave() {
+            if (!this.meeting) return;
+
+            const meeting = this.meeting;
+            this.meeting = null;
+            this.missingSince = null;
+
+            console.log('Meeting Recorder: Left meeting', meeting);
+            this.report('MEETING_LEFT', meeting);
+        }
+
+        report(action, data) {
+            chrome.runtime.sendMessage({ action, data }).catch((error) => {
+                console.debug('Meeting Recorder: Could not report', action, error);
+            });
+        }
+    }
+
+    const platform = MeetingPlatformRegistry.findByUrl(location.href);
+
+    window.__meetingRecorderDetector = platform ? new MeetingDetector(platform) : true;
+}
@@ -0,0 +1,70 @@
+// content/participant-tracker.js
+// Reports who joins and leaves the call while recording. Relies on the
+// platform adapter's `participants` selectors: `item` matches one entry per
+// participant (video tile or roster row) and `name` the name inside it.
+if (!window.__meetingRecorderParticipants) {
+    // Tiles re-render and roster panels get closed, so someone only counts as
+    // gone once they have been missing for this long
+    const PARTICIPANT_LEAVE_GRACE_MS = 10000;
+
+    class ParticipantTracker extends MeetingCollector {
+        constructor(platform) {
+            super(platform, { pollInterval: PARTICIPANT_LEAVE_GRACE_MS / 2 });
+            this.present = new Map();
+        }
+
+        onStart() {
+            this.present = new Map();
+        }
+
+        onStop() {
+            this.present.clear();
+        }
+
+        readNames() {
+            const { item, name } = this.platform.selectors.participants || {};
+            const names = this.queryAll(item)
+                .map(element => this.readText(element, name))
+                .filter(Boolean);
+
+            return new Set(names);
+        }
+
+        sample() {
+            const names = this.readNames();
+
+            // An empty list means the UI is between states; the user at least
+            // is always in their own call
+            if (names.size === 0) return;
+
+            const now = Date.now();
+            const joined = [];
+            const left = [];
+
+            for (const name of names) {
+                if (!this.present.has(name)) {
+                    joined.push({ name, at: new Date(now).toISOString() });
+                }
+                this.present.set(name, now);
+            }
+
+            // Someone who left was last seen before the grace period started
+            for (const [name, lastSeen] of this.present) {
+                if (now - lastSeen >= PARTICIPANT_LEAVE_GRACE_MS) {
+                    this.present.delete(name);
+                    left.push({ name, at: new Date(lastSeen).toISOString() });
+                }
+            }
+
+            if (joined.length > 0 || left.length > 0) {
+                this.report('PARTICIPANTS_CHANGED', { joined, left });
+            }
+        }
+    }
+
+    const platform = MeetingPlatformRegistry.findByUrl(location.href);
+
+    window.__meetingRecorderParticipants = platform && platform.selectors.participants
+        ? new ParticipantTracker(platform)
+        : true;
+}
@@ -0,0 +1,78 @@
+// content/speaker-tracker.js
+// Samples the platform's active-speaker highlight while recording and reports
+// who spoke when. Relies on the platform adapter's `activeSpeaker` selectors:
+// `item` matches the element of whoever is currently highlighted and `name`
+// the name inside it.
+if (!window.__meetingRecorderSpeakers) {
+    const SPEAKER_SAMPLE_MS = 500;
+    // Highlights flicker between words, so short gaps do not end a turn
+    const SPEAKER_GAP_MS = 1500;
+
+    class SpeakerTracker extends MeetingCollector {
+        constructor(platform) {
+            super(platform, { pollInterval: SPEAKER_SAMPLE_MS });
+            this.speaking = new Map();
+        }
+
+        onStart() {
+            this.speaking = new Map();
+        }
+
+        // A last sample runs the open turns up to the moment of the stop
+        // rather than to the previous poll
+        onStop() {
+            const ended = this.sample();
+            return Promise.all([ended, this.finish(Array.from(this.speaking.keys()))]);
+        }
+
+        readSpeakers() {
+            const { item, name } = this.platform.selectors.activeSpeaker;
+
+            return new Set(this.queryAll(item)
+                .map(element => this.readText(element, name))
+                .filter(Boolean));
+        }
+
+        sample() {
+            const now = Date.now();
+
+            for (const name of this.readSpeakers()) {
+                const turn = this.speaking.get(name);
+                if (turn) {
+                    turn.lastSeen = now;
+                } else {
+                    this.speaking.set(name, { start: now, lastSeen: now });
+                }
+            }
+
+            const finished = Array.from(this.speaking.entries())
+                .filter(([, turn]) => now - turn.lastSeen >= SPEAKER_GAP_MS)
+                .map(([name]) => name);
+
+            return this.finish(finished);
+        }
+
+        finish(names) {
+            const intervals = names.map(name => {
+                const turn = this.speaking.get(name);
+                this.speaking.delete(name);
+
+                return {
+                    name,
+                    start: new Date(turn.start).toISOString(),
+                    end: new Date(Math.max(turn.lastSeen, turn.start + SPEAKER_SAMPLE_MS)).toISOString()
+                };
+            });
+
+            if (intervals.length > 0) {
+                return this.report('SPEAKER_INTERVALS', { intervals });
+            }
+        }
+    }
+
+    const platform = MeetingPlatformRegistry.findByUrl(location.href);
+
+    window.__meetingRecorderSpeakers = platform && platform.selectors.activeSpeaker
+        ? new SpeakerTracker(platform)
+        : true;
+}
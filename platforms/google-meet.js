@@ -0,0 +1,46 @@
+// platforms/google-meet.js
+MeetingPlatformRegistry.register({
+    id: 'google-meet',
+    name: 'Google Meet',
+    hosts: ['meet.google.com'],
+
+    getMeetingId(url) {
+        const match = url.pathname.match(/^\/([a-z]{3}-[a-z]{4}-[a-z]{3})(?:$|\/)/);
+        return match ? match[1] : null;
+    },
+
+    extractTitle(title) {
+        return title.replace(/^Meet\s*[-–]\s*/, '').replace(/\s*-\s*Google Meet$/, '');
+    },
+
+    selectors: {
+        // Only shown once the call has been joined, never in the lobby
+        inCall: [
+            'button[aria-label*="Leave call" i]',
+            '[data-call-id] button[jsname="CQylAd"]'
+        ],
+        // Video tiles, which exist whether or not the people panel is open
+        participants: {
+            item: '[data-participant-id]',
+            name: '[data-self-name]'
+        },
+        // Tiles get a speaking indicator while their audio level is up
+        activeSpeaker: {
+            item: '[data-participant-id]:has([data-audio-level]:not([data-audio-level="0"]))',
+            name: '[data-self-name]'
+        },
+        chat: {
+            item: '[data-message-id]',
+            group: '.Ss4fHf',
+            sender: '.poVWob',
+            text: '[jsname="dTKtvb"]',
+            idAttribute: 'data-message-id'
+        },
+        // One block per speaker turn in the captions region
+        captions: {
+            item: 'div[role="region"][aria-label="Captions"] .nMcdL',
+            speaker: '.NWpY1d, .KcIKyf',
+            text: '.ygicle, .bh44bd'
+        }
+    }
+});
@@ -0,0 +1,24 @@
+// platforms/index.js
+// Entry point for the service worker. Adding a platform means writing its
+// adapter next to this file, listing it below and granting its hosts in
+// manifest.json.
+import './registry.js';
+import './google-meet.js';
+import './zoom.js';
+import './microsoft-teams.js';
+import './webex.js';
+import './jitsi.js';
+import './whereby.js';
+
+export const MeetingPlatformRegistry = globalThis.MeetingPlatformRegistry;
+
+// Injected ahead of content scripts that need platform knowledge
+export const PLATFORM_SCRIPTS = [
+    'platforms/registry.js',
+    'platforms/google-meet.js',
+    'platforms/zoom.js',
+    'platforms/microsoft-teams.js',
+    'platforms/webex.js',
+    'platforms/jitsi.js',
+    'platforms/whereby.js'
+];
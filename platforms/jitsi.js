@@ -0,0 +1,31 @@
+// platforms/jitsi.js
+// The public Jitsi Meet deployments; self-hosted servers are not recognized
+MeetingPlatformRegistry.register({
+    id: 'jitsi',
+    name: 'Jitsi Meet',
+    hosts: ['meet.jit.si', '8x8.vc'],
+
+    // The room name is the last path segment; 8x8.vc puts a tenant first
+    getMeetingId(url) {
+        const segments = url.pathname.split('/').filter(Boolean);
+        return segments.length > 0 ? decodeURIComponent(segments[segments.length - 1]) : null;
+    },
+
+    extractTitle(title) {
+        return title.replace(/\s*\|\s*Jitsi Meet$/, '').replace(/^Jitsi Meet$/, '');
+    },
+
+    selectors: {
+        inCall: [
+            '.toolbox-button[aria-label*="Leave" i]',
+            'div[aria-label="Leave the meeting"]',
+            '.hangup-button'
+        ],
+        chat: {
+            item: '.chatmessage',
+            group: '.chat-message-group',
+            sender: '.display-name',
+            text: '.usermessage'
+        }
+    }
+});
@@ -0,0 +1,44 @@
+// platforms/microsoft-teams.js
+MeetingPlatformRegistry.register({
+    id: 'microsoft-teams',
+    name: 'Microsoft Teams',
+    hosts: ['teams.microsoft.com', 'teams.live.com'],
+
+    // Meeting links carry the meeting's chat thread id, which stays the same
+    // for every occurrence of a recurring meeting
+    getMeetingId(url) {
+        const match = decodeURIComponent(url.href).match(/19:meeting_[^@/]+@thread\.v2/);
+        return match ? match[0] : null;
+    },
+
+    extractTitle(title) {
+        return title.replace(/\s*\|\s*Microsoft Teams$/, '');
+    },
+
+    selectors: {
+        inCall: [
+            '#hangup-button',
+            'button[data-tid="hangup-main-btn"]',
+            'button[data-tid="call-hangup"]'
+        ],
+        participants: {
+            item: '[data-cid="calling-participant-stream"], [data-tid^="participantsInCall-"]',
+            name: '[data-tid="roster-participant-name"], [data-tid="participant-name"]'
+        },
+        activeSpeaker: {
+            item: '[data-cid="calling-participant-stream"][data-tid*="speaking" i]',
+            name: '[data-tid="participant-name"]'
+        },
+        chat: {
+            item: '[data-tid="chat-pane-message"]',
+            sender: '[data-tid="message-author-name"]',
+            text: '[id^="content-"]',
+            idAttribute: 'data-mid'
+        },
+        captions: {
+            item: '[data-tid="closed-caption-v2-window-wrapper"] .fui-ChatMessageCompact',
+            speaker: '[data-tid="author"]',
+            text: '[data-tid="closed-caption-text"]'
+        }
+    }
+});
@@ -0,0 +1,82 @@
+// platforms/registry.js
+// Shared by the service worker, which imports it as a module, and by content
+// scripts, which get it injected as a classic script. It therefore has no
+// imports or exports and publishes the registry on `globalThis`; adapters
+// register themselves onto it the same way.
+(() => {
+    // Injected scripts can run again in the same page; keep what is there
+    if (globalThis.MeetingPlatformRegistry) return;
+
+    class PlatformRegistry {
+        constructor() {
+            this.adapters = new Map();
+        }
+
+        // An adapter needs an `id`, a `name` and either `hosts` (hostnames
+        // matched along with their subdomains) or its own `matches(url)`.
+        // `getMeetingId(url)`, `extractTitle(title)` and `selectors` are
+        // optional; a content script does nothing on platforms that lack the
+        // selectors it needs (`inCall`, `participants`, ...).
+        register(adapter) {
+            if (!adapter || !adapter.id || !adapter.name) {
+                throw new Error('Meeting platform adapters need an id and a name');
+            }
+
+            if (!adapter.matches && !(adapter.hosts && adapter.hosts.length)) {
+                throw new Error(`Meeting platform ${adapter.id} has no URL matcher`);
+            }
+
+            this.adapters.set(adapter.id, {
+                getMeetingId: () => null,
+                extractTitle: (title) => title,
+                selectors: {},
+                ...adapter
+            });
+        }
+
+        get(id) {
+            return this.adapters.get(id) || null;
+        }
+
+        getAll() {
+            return Array.from(this.adapters.values());
+        }
+
+        findByUrl(url) {
+            const parsed = toUrl(url);
+            if (!parsed) return null;
+
+            return this.getAll().find(adapter => adapter.matches
+                ? adapter.matches(parsed)
+                : adapter.hosts.some(host =>
+                    parsed.hostname === host || parsed.hostname.endsWith(`.${host}`)
+                )
+            ) || null;
+        }
+
+        getMeetingId(url) {
+            const adapter = this.findByUrl(url);
+            return adapter ? adapter.getMeetingId(toUrl(url)) : null;
+        }
+
+        // Title of a tab with the platform's branding removed, or null if the
+        // tab is not on a known platform
+        extractTitle(tab) {
+            const adapter = tab ? this.findByUrl(tab.url) : null;
+            if (!adapter) return null;
+
+            const title = adapter.extractTitle((tab.title || '').trim());
+            return (title && title.trim()) || `${adapter.name} Meeting`;
+        }
+    }
+
+    function toUrl(url) {
+        try {
+            return url instanceof URL ? url : new URL(url);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    globalThis.MeetingPlatformRegistry = new PlatformRegistry();
+})();
@@ -0,0 +1,23 @@
+// platforms/webex.js
+MeetingPlatformRegistry.register({
+    id: 'webex',
+    name: 'Webex',
+    hosts: ['webex.com'],
+
+    getMeetingId(url) {
+        const match = url.pathname.match(/\/meet\/([^/?#]+)/);
+        return url.searchParams.get('MTID') || (match ? match[1] : null);
+    },
+
+    extractTitle(title) {
+        return title.replace(/\s*[-|]\s*(?:Cisco )?Webex(?: Meetings?)?$/, '');
+    },
+
+    selectors: {
+        inCall: [
+            'button[data-test="call-leave-button"]',
+            'button[aria-label*="Leave meeting" i]',
+            'button[aria-label*="End meeting" i]'
+        ]
+    }
+});
@@ -0,0 +1,25 @@
+// platforms/whereby.js
+MeetingPlatformRegistry.register({
+    id: 'whereby',
+    name: 'Whereby',
+    hosts: ['whereby.com'],
+
+    // Rooms live at whereby.com/<room>, or <team>.whereby.com/<room> for
+    // organisations (hosts match subdomains); other top-level pages are the app
+    getMeetingId(url) {
+        const match = url.pathname.match(/^\/([^/?#]+)/);
+        const reserved = ['user', 'information', 'org', 'login', 'signup'];
+        return match && !reserved.includes(match[1]) ? decodeURIComponent(match[1]) : null;
+    },
+
+    extractTitle(title) {
+        return title.replace(/\s*[-|]\s*Whereby$/i, '').replace(/^Whereby$/i, '');
+    },
+
+    selectors: {
+        inCall: [
+            'button[aria-label*="Leave" i]',
+            '[data-testid="leaveButton"]'
+        ]
+    }
+});
@@ -0,0 +1,40 @@
+// platforms/zoom.js
+// The Zoom web client (app.zoom.us and <org>.zoom.us/wc/...)
+MeetingPlatformRegistry.register({
+    id: 'zoom',
+    name: 'Zoom',
+    hosts: ['zoom.us'],
+
+    getMeetingId(url) {
+        const match = url.pathname.match(/\/(?:wc|j|s)\/(\d+)/);
+        return match ? match[1] : null;
+    },
+
+    extractTitle(title) {
+        return title.replace(/\s*[-|]\s*Zoom$/, '').replace(/^Zoom Meeting$/, '');
+    },
+
+    selectors: {
+        inCall: [
+            '.footer__leave-btn',
+            '.footer-button__leave',
+            'button[aria-label="Leave"]'
+        ],
+        // Gallery tiles and, when open, rows of the participants panel
+        participants: {
+            item: '.video-avatar__avatar, .participants-item__item-layout',
+            name: '.video-avatar__avatar-name, .participants-item__display-name'
+        },
+        activeSpeaker: {
+            item: '.speaker-active-container__video-frame, .gallery-video-container__video-frame--active',
+            name: '.video-avatar__avatar-name'
+        },
+        chat: {
+            item: '.new-chat-message__container',
+            group: '.chat-item-container',
+            sender: '.chat-item__sender',
+            text: '.new-chat-message__text-content',
+            idAttribute: 'id'
+        }
+    }
+});
@@ -0,0 +1,55 @@
+// services/auto-record-rules.js
+
+export const DEFAULT_AUTO_RECORD = {
+    enabled: false,
+    startOnJoin: true,
+    stopOnLeave: true,
+    // Empty filters match every meeting
+    platforms: [],
+    urlPatterns: [],
+    titleKeywords: [],
+    countdownSeconds: 5
+};
+
+export function getAutoRecordRules(settings) {
+    return { ...DEFAULT_AUTO_RECORD, ...(settings?.autoRecord || {}) };
+}
+
+// A meeting has to pass every filter that is set
+export function shouldAutoStart(rules, meeting) {
+    if (!rules.enabled || !rules.startOnJoin) return false;
+
+    if (rules.platforms.length > 0 && !rules.platforms.includes(meeting.platform)) {
+        return false;
+    }
+
+    if (rules.urlPatterns.length > 0 &&
+        !rules.urlPatterns.some(pattern => matchesUrlPattern(pattern, meeting.url || ''))) {
+        return false;
+    }
+
+    if (rules.titleKeywords.length > 0) {
+        const title = (meeting.title || '').toLowerCase();
+        if (!rules.titleKeywords.some(keyword => title.includes(keyword.toLowerCase()))) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+export function shouldAutoStop(rules) {
+    return rules.enabled && rules.stopOnLeave;
+}
+
+// Patterns match the start of the URL and `*` matches any run of characters,
+// e.g. `https://*.zoom.us/j/` or `https://meet.google.com/abc-*`
+function matchesUrlPattern(pattern, url) {
+    const source = pattern
+        .trim()
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+
+    return source.length > 0 && new RegExp(`^${source}`, 'i').test(url);
+}
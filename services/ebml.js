@@ -0,0 +1,343 @@
+// services/ebml.js
+
+// Just enough EBML (the container format under WebM) to walk a recording's
+// structure, read block headers and write new elements. Recordings can run to
+// gigabytes, so they are read through `BlobReader` a window at a time rather
+// than loaded whole.
+
+export const EBML_IDS = {
+    EBML: 0x1a45dfa3,
+    SEGMENT: 0x18538067,
+    SEEK_HEAD: 0x114d9b74,
+    SEEK: 0x4dbb,
+    SEEK_ID: 0x53ab,
+    SEEK_POSITION: 0x53ac,
+    INFO: 0x1549a966,
+    TIMECODE_SCALE: 0x2ad7b1,
+    DURATION: 0x4489,
+    TRACKS: 0x1654ae6b,
+    TRACK_ENTRY: 0xae,
+    TRACK_NUMBER: 0xd7,
+    TRACK_TYPE: 0x83,
+    CODEC_ID: 0x86,
+    CODEC_PRIVATE: 0x63a2,
+    DEFAULT_DURATION: 0x23e383,
+    VIDEO: 0xe0,
+    PIXEL_WIDTH: 0xb0,
+    PIXEL_HEIGHT: 0xba,
+    AUDIO: 0xe1,
+    SAMPLING_FREQUENCY: 0xb5,
+    CHANNELS: 0x9f,
+    CUES: 0x1c53bb6b,
+    CUE_POINT: 0xbb,
+    CUE_TIME: 0xb3,
+    CUE_TRACK_POSITIONS: 0xb7,
+    CUE_TRACK: 0xf7,
+    CUE_CLUSTER_POSITION: 0xf1,
+    CLUSTER: 0x1f43b675,
+    TIMECODE: 0xe7,
+    SIMPLE_BLOCK: 0xa3,
+    BLOCK_GROUP: 0xa0,
+    BLOCK: 0xa1,
+    REFERENCE_BLOCK: 0xfb,
+    BLOCK_DURATION: 0x9b,
+    TAGS: 0x1254c367,
+    CHAPTERS: 0x1043a770,
+    ATTACHMENTS: 0x1941a469,
+    VOID: 0xec,
+    CRC32: 0xbf
+};
+
+export const TRACK_TYPES = {
+    VIDEO: 1,
+    AUDIO: 2
+};
+
+// Children of Segment. A cluster of unknown size ends where one of these
+// starts.
+export const TOP_LEVEL_IDS = new Set([
+    EBML_IDS.SEEK_HEAD,
+    EBML_IDS.INFO,
+    EBML_IDS.TRACKS,
+    EBML_IDS.CUES,
+    EBML_IDS.CLUSTER,
+    EBML_IDS.TAGS,
+    EBML_IDS.CHAPTERS,
+    EBML_IDS.ATTACHMENTS
+]);
+
+// Matroska's default: timecodes count milliseconds
+export const DEFAULT_TIMECODE_SCALE = 1000000;
+
+const READ_WINDOW_SIZE = 1024 * 1024;
+
+// Largest element header: a 4-byte id and an 8-byte size
+const MAX_HEADER_SIZE = 12;
+
+// Reads a Blob in windows, so walking a large file only ever holds one
+// window of it in memory
+export class BlobReader {
+    constructor(blob) {
+        this.blob = blob;
+        this.size = blob.size;
+        this.windowStart = 0;
+        this.window = new Uint8Array(0);
+    }
+
+    // Up to `length` bytes at `offset`; fewer at the end of the blob
+    async read(offset, length) {
+        const end = Math.min(this.size, offset + length);
+
+        if (offset < this.windowStart || end > this.windowStart + this.window.length) {
+            const windowEnd = Math.min(this.size, offset + Math.max(length, READ_WINDOW_SIZE));
+            this.window = new Uint8Array(await this.blob.slice(offset, windowEnd).arrayBuffer());
+            this.windowStart = offset;
+        }
+
+        return this.window.subarray(offset - this.windowStart, end - this.windowStart);
+    }
+
+    // The element header at `offset` with absolute offsets, or null if the
+    // blob ends inside it
+    async readElement(offset) {
+        const header = parseElementHeader(await this.read(offset, MAX_HEADER_SIZE));
+        if (!header) return null;
+
+        return {
+            ...header,
+            offset,
+            dataOffset: offset + header.headerSize,
+            end: header.size === null ? null : offset + header.headerSize + header.size
+        };
+    }
+
+    async readBytes(offset, length) {
+        // Copy, as the window is replaced on the next read
+        return (await this.read(offset, length)).slice();
+    }
+}
+
+// Length of a variable-size integer from its first byte's leading zeros
+function vintLength(firstByte, maxLength) {
+    for (let length = 1; length <= maxLength; length++) {
+        if (firstByte & (0x80 >> (length - 1))) return length;
+    }
+    throw new Error('Invalid EBML variable-size integer');
+}
+
+// Element ids keep their length marker bits; sizes drop them. A size with
+// every value bit set means "unknown", which MediaRecorder writes for the
+// segment and for clusters since it streams them out as it goes.
+export function parseElementHeader(bytes, offset = 0) {
+    if (offset >= bytes.length) return null;
+
+    const idLength = vintLength(bytes[offset], 4);
+    if (offset + idLength >= bytes.length) return null;
+
+    let id = 0;
+    for (let i = 0; i < idLength; i++) {
+        id = id * 256 + bytes[offset + i];
+    }
+
+    const sizeOffset = offset + idLength;
+    const sizeLength = vintLength(bytes[sizeOffset], 8);
+    if (sizeOffset + sizeLength > bytes.length) return null;
+
+    let size = bytes[sizeOffset] & (0xff >> sizeLength);
+    let allOnes = size === 0xff >> sizeLength;
+    for (let i = 1; i < sizeLength; i++) {
+        size = size * 256 + bytes[sizeOffset + i];
+        allOnes = allOnes && bytes[sizeOffset + i] === 0xff;
+    }
+
+    return {
+        id,
+        size: allOnes ? null : size,
+        headerSize: idLength + sizeLength
+    };
+}
+
+// The direct children of an element already read into memory
+export function parseChildren(bytes) {
+    const children = [];
+    let offset = 0;
+
+    while (offset < bytes.length) {
+        const header = parseElementHeader(bytes, offset);
+        if (!header || header.size === null) break;
+
+        const dataOffset = offset + header.headerSize;
+        const end = dataOffset + header.size;
+        if (end > bytes.length) break;
+
+        children.push({ id: header.id, offset, end, data: bytes.subarray(dataOffset, end) });
+        offset = end;
+    }
+
+    return children;
+}
+
+export function readUint(bytes) {
+    let value = 0;
+    for (const byte of bytes) {
+        value = value * 256 + byte;
+    }
+    return value;
+}
+
+export function readFloat(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return bytes.length === 4 ? view.getFloat32(0) : view.getFloat64(0);
+}
+
+export function readString(bytes) {
+    return new TextDecoder().decode(bytes).replace(/\0+$/, '');
+}
+
+// The start of a SimpleBlock or Block: track number, timecode relative to
+// the cluster, and flags. Bit 0x80 of a SimpleBlock's flags marks a keyframe.
+export function parseBlockHeader(bytes) {
+    const trackLength = vintLength(bytes[0], 8);
+    let track = bytes[0] & (0xff >> trackLength);
+    for (let i = 1; i < trackLength; i++) {
+        track = track * 256 + bytes[i];
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    return {
+        track,
+        timecode: view.getInt16(trackLength),
+        flags: bytes[trackLength + 2],
+        headerSize: trackLength + 3
+    };
+}
+
+export function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+
+    return result;
+}
+
+export function encodeId(id) {
+    const bytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) {
+        bytes.unshift(value % 256);
+    }
+    return new Uint8Array(bytes);
+}
+
+// Sizes are always written 8 bytes wide, so an element's size never changes
+// the layout around it
+export function encodeSize(size) {
+    const bytes = new Uint8Array(8);
+    let value = size;
+
+    for (let i = 7; i > 0; i--) {
+        bytes[i] = value % 256;
+        value = Math.floor(value / 256);
+    }
+    bytes[0] = 0x01;
+
+    return bytes;
+}
+
+export function encodeElementHeader(id, size) {
+    return concatBytes([encodeId(id), encodeSize(size)]);
+}
+
+export function encodeElement(id, payload) {
+    return concatBytes([encodeElementHeader(id, payload.length), payload]);
+}
+
+// Also fixed at 8 bytes, for the same reason as sizes
+export function encodeUint(id, value) {
+    const bytes = new Uint8Array(8);
+    let remaining = value;
+
+    for (let i = 7; i >= 0; i--) {
+        bytes[i] = remaining % 256;
+        remaining = Math.floor(remaining / 256);
+    }
+
+    return encodeElement(id, bytes);
+}
+
+export function encodeFloat(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return encodeElement(id, bytes);
+}
+
+// Track entries as `{ number, type, codecId, codecPrivate, video, audio }`
+export function parseTracks(bytes) {
+    return parseChildren(bytes)
+        .filter(child => child.id === EBML_IDS.TRACK_ENTRY)
+        .map(entry => {
+            const track = {
+                number: 0,
+                type: 0,
+                codecId: '',
+                codecPrivate: null,
+                defaultDuration: null,
+                video: null,
+                audio: null
+            };
+
+            for (const field of parseChildren(entry.data)) {
+                switch (field.id) {
+                    case EBML_IDS.TRACK_NUMBER:
+                        track.number = readUint(field.data);
+                        break;
+                    case EBML_IDS.TRACK_TYPE:
+                        track.type = readUint(field.data);
+                        break;
+                    case EBML_IDS.CODEC_ID:
+                        track.codecId = readString(field.data);
+                        break;
+                    case EBML_IDS.CODEC_PRIVATE:
+                        track.codecPrivate = field.data.slice();
+                        break;
+                    case EBML_IDS.DEFAULT_DURATION:
+                        track.defaultDuration = readUint(field.data);
+                        break;
+                    case EBML_IDS.VIDEO:
+                        track.video = parseVideoSettings(field.data);
+                        break;
+                    case EBML_IDS.AUDIO:
+                        track.audio = parseAudioSettings(field.data);
+                        break;
+                }
+            }
+
+            return track;
+        });
+}
+
+function parseVideoSettings(bytes) {
+    const video = { width: 0, height: 0 };
+
+    for (const field of parseChildren(bytes)) {
+        if (field.id === EBML_IDS.PIXEL_WIDTH) video.width = readUint(field.data);
+        if (field.id === EBML_IDS.PIXEL_HEIGHT) video.height = readUint(field.data);
+    }
+
+    return video;
+}
+
+function parseAudioSettings(bytes) {
+    const audio = { sampleRate: 8000, channels: 1 };
+
+    for (const field of parseChildren(bytes)) {
+        if (field.id === EBML_IDS.SAMPLING_FREQUENCY) audio.sampleRate = readFloat(field.data);
+        if (field.id === EBML_IDS.CHANNELS) audio.channels = readUint(field.data);
+    }
+
+    return audio;
+}
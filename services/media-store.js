@@ -0,0 +1,138 @@
+// services/media-store.js
+import { openDatabase, promisifyRequest, transactionDone } from './idb.js';
+
+// Recording media lives here, keyed by recording id, so the metadata lists in
+// chrome.storage.local only carry a `mediaId` reference. Each recording's
+// poster and preview frames sit alongside it under its `thumbnailId`.
+export class MediaStore {
+    constructor() {
+        this.DB_NAME = 'meeting-recorder-media';
+        this.DB_VERSION = 2;
+        this.STORES = {
+            MEDIA: 'media',
+            THUMBNAILS: 'thumbnails'
+        };
+        this.db = null;
+    }
+
+    async open() {
+        if (this.db) return this.db;
+
+        this.db = await openDatabase(this.DB_NAME, this.DB_VERSION, (db) => {
+            if (!db.objectStoreNames.contains(this.STORES.MEDIA)) {
+                db.createObjectStore(this.STORES.MEDIA, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(this.STORES.THUMBNAILS)) {
+                db.createObjectStore(this.STORES.THUMBNAILS, { keyPath: 'id' });
+            }
+        });
+
+        this.db.onversionchange = () => {
+            this.db.close();
+            this.db = null;
+        };
+
+        return this.db;
+    }
+
+    async putMedia(id, blob) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction(this.STORES.MEDIA, 'readwrite');
+
+            tx.objectStore(this.STORES.MEDIA).put({
+                id,
+                blob,
+                mimeType: blob.type,
+                size: blob.size,
+                createdAt: new Date().toISOString()
+            });
+            await transactionDone(tx);
+
+            console.log('MediaStore: Media stored:', id, blob.size, 'bytes');
+            return id;
+        } catch (error) {
+            console.error('MediaStore: Failed to store media:', error);
+            throw error;
+        }
+    }
+
+    async getMedia(id) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction(this.STORES.MEDIA, 'readonly');
+            const entry = await promisifyRequest(tx.objectStore(this.STORES.MEDIA).get(id));
+
+            return entry ? entry.blob : null;
+        } catch (error) {
+            console.error('MediaStore: Failed to get media:', error);
+            return null;
+        }
+    }
+
+    async deleteMedia(id) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction(this.STORES.MEDIA, 'readwrite');
+
+            tx.objectStore(this.STORES.MEDIA).delete(id);
+            await transactionDone(tx);
+
+            console.log('MediaStore: Media deleted:', id);
+            return true;
+        } catch (error) {
+            console.error('MediaStore: Failed to delete media:', error);
+            throw error;
+        }
+    }
+
+    // `frames` are the preview strip, taken at `times` seconds into the recording
+    async putThumbnails(id, { poster, frames, times }) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction(this.STORES.THUMBNAILS, 'readwrite');
+
+            tx.objectStore(this.STORES.THUMBNAILS).put({
+                id,
+                poster,
+                frames,
+                times,
+                createdAt: new Date().toISOString()
+            });
+            await transactionDone(tx);
+
+            console.log('MediaStore: Thumbnails stored:', id, frames.length, 'frames');
+            return id;
+        } catch (error) {
+            console.error('MediaStore: Failed to store thumbnails:', error);
+            throw error;
+        }
+    }
+
+    async getThumbnails(id) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction(this.STORES.THUMBNAILS, 'readonly');
+            return await promisifyRequest(tx.objectStore(this.STORES.THUMBNAILS).get(id)) || null;
+        } catch (error) {
+            console.error('MediaStore: Failed to get thumbnails:', error);
+            return null;
+        }
+    }
+
+    async deleteThumbnails(id) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction(this.STORES.THUMBNAILS, 'readwrite');
+
+            tx.objectStore(this.STORES.THUMBNAILS).delete(id);
+            await transactionDone(tx);
+
+            console.log('MediaStore: Thumbnails deleted:', id);
+            return true;
+        } catch (error) {
+            console.error('MediaStore: Failed to delete thumbnails:', error);
+            throw error;
+        }
+    }
+}
@@ -0,0 +1,173 @@
+// services/meeting-data.js
+import { SessionStore } from './session-store.js';
+import { getMediaOffset } from './recording-timeline.js';
+
+// What the meeting collectors scrape from the platform's page while recording
+// is merged into the capture session as it arrives, so it survives a service
+// worker restart and ends up in the recording's metadata.
+export class MeetingData {
+    constructor() {
+        this.sessionStore = new SessionStore();
+    }
+
+    // Participants keep one `{ joinedAt, leftAt }` interval per stretch they
+    // were in the call. A reloaded collector reports everyone as joined
+    // again, which must not open a second interval.
+    async addParticipantEvents(sessionId, { joined = [], left = [] }) {
+        return this.sessionStore.mutateSession(sessionId, (session) => {
+            const participants = (session.participants || []).map(participant => ({
+                ...participant,
+                intervals: [...participant.intervals]
+            }));
+
+            const findOrAdd = (name) => {
+                let participant = participants.find(p => p.name === name);
+                if (!participant) {
+                    participant = { name, intervals: [] };
+                    participants.push(participant);
+                }
+                return participant;
+            };
+
+            for (const { name, at } of joined) {
+                const participant = findOrAdd(name);
+                const last = participant.intervals[participant.intervals.length - 1];
+
+                if (!last || last.leftAt) {
+                    participant.intervals.push({ joinedAt: at, leftAt: null });
+                }
+            }
+
+            for (const { name, at } of left) {
+                const participant = participants.find(p => p.name === name);
+                const last = participant?.intervals[participant.intervals.length - 1];
+
+                if (last && !last.leftAt) {
+                    last.leftAt = at;
+                }
+            }
+
+            return { participants };
+        });
+    }
+
+    // Caption lines grow while someone talks, so collectors send a line again
+    // whenever its text changes and it replaces the earlier copy by id
+    async addCaptions(sessionId, lines) {
+        return this.sessionStore.mutateSession(sessionId, (session) => {
+            const captions = [...(session.captions || [])];
+
+            for (const line of lines) {
+                const index = captions.findIndex(caption => caption.id === line.id);
+                const caption = {
+                    id: line.id,
+                    speaker: line.speaker || '',
+                    text: line.text,
+                    startedAt: line.startedAt,
+                    endedAt: line.endedAt
+                };
+
+                if (index === -1) {
+                    captions.push(caption);
+                } else {
+                    captions[index] = caption;
+                }
+            }
+
+            return { captions };
+        });
+    }
+
+    async addSpeakerIntervals(sessionId, intervals) {
+        return this.sessionStore.mutateSession(sessionId, (session) => ({
+            speakerIntervals: [...(session.speakerIntervals || []), ...intervals]
+        }));
+    }
+
+    // Collectors that restart re-send what is still on screen, so messages
+    // are kept by id along with the time they were first seen
+    async addChatMessages(sessionId, messages) {
+        return this.sessionStore.mutateSession(sessionId, (session) => {
+            const chat = [...(session.chat || [])];
+
+            for (const message of messages) {
+                if (!chat.some(existing => existing.id === message.id)) {
+                    chat.push({
+                        id: message.id,
+                        sender: message.sender || '',
+                        text: message.text,
+                        sentAt: message.sentAt
+                    });
+                }
+            }
+
+            return { chat };
+        });
+    }
+
+    // Meeting fields for a finished session's recording metadata, with
+    // anything tied to the media expressed as offsets into it
+    buildMetadata(session, { startTime, endTime, pauses }) {
+        const end = new Date(endTime).toISOString();
+
+        const participants = (session.participants || []).map(participant => ({
+            name: participant.name,
+            intervals: participant.intervals.map(interval => ({
+                joinedAt: interval.joinedAt,
+                leftAt: interval.leftAt || end
+            }))
+        }));
+
+        const transcript = this.buildTranscript(session.captions || [], startTime, pauses);
+        const speakers = this.buildSpeakerTimeline(session.speakerIntervals || [], startTime, pauses);
+
+        const chat = (session.chat || [])
+            .map(message => ({
+                sender: message.sender,
+                text: message.text,
+                sentAt: message.sentAt,
+                offset: getMediaOffset(startTime, pauses, message.sentAt)
+            }))
+            .sort((a, b) => new Date(a.sentAt) - new Date(b.sentAt));
+
+        return { participants, transcript, speakers, chat };
+    }
+
+    // Lines spoken entirely while the recording was paused are not in the
+    // media and are dropped
+    buildTranscript(captions, startTime, pauses) {
+        return captions
+            .map(caption => ({
+                speaker: caption.speaker,
+                text: caption.text,
+                start: getMediaOffset(startTime, pauses, caption.startedAt),
+                end: getMediaOffset(startTime, pauses, caption.endedAt || caption.startedAt)
+            }))
+            .filter(line => line.text && line.end > line.start)
+            .sort((a, b) => a.start - b.start);
+    }
+
+    // One entry per speaker with their turns as `{ start, end }` media
+    // offsets, in order of who spoke first
+    buildSpeakerTimeline(speakerIntervals, startTime, pauses) {
+        const speakers = new Map();
+
+        const turns = speakerIntervals
+            .map(interval => ({
+                name: interval.name,
+                start: getMediaOffset(startTime, pauses, interval.start),
+                end: getMediaOffset(startTime, pauses, interval.end)
+            }))
+            .filter(turn => turn.end > turn.start)
+            .sort((a, b) => a.start - b.start);
+
+        for (const { name, start, end } of turns) {
+            if (!speakers.has(name)) {
+                speakers.set(name, { name, intervals: [] });
+            }
+            speakers.get(name).intervals.push({ start, end });
+        }
+
+        return Array.from(speakers.values());
+    }
+}
@@ -0,0 +1,72 @@
+// services/meeting-tracker.js
+
+// Keeps the calls the meeting detector has reported, keyed by tab id. The
+// list lives in session storage so it outlasts service worker restarts.
+export class MeetingTracker {
+    constructor() {
+        this.STATE_KEY = 'activeMeetings';
+        // Changes read, modify and write the whole list, so they run one at
+        // a time or events from two tabs could overwrite each other
+        this.updates = Promise.resolve();
+    }
+
+    async getMeetings() {
+        try {
+            const result = await chrome.storage.session.get(this.STATE_KEY);
+            return result[this.STATE_KEY] || {};
+        } catch (error) {
+            console.error('MeetingTracker: Failed to read meetings:', error);
+            return {};
+        }
+    }
+
+    async getMeeting(tabId) {
+        const meetings = await this.getMeetings();
+        return meetings[tabId] || null;
+    }
+
+    async join(tabId, meeting) {
+        return this.update(meetings => {
+            const entry = {
+                ...meeting,
+                tabId,
+                joinedAt: new Date().toISOString()
+            };
+
+            meetings[tabId] = entry;
+
+            console.log('MeetingTracker: Meeting joined:', entry);
+            return entry;
+        });
+    }
+
+    // Returns the meeting that ended, or null if the tab was not in one
+    async leave(tabId) {
+        return this.update(meetings => {
+            const entry = meetings[tabId];
+
+            if (!entry) return null;
+
+            delete meetings[tabId];
+
+            console.log('MeetingTracker: Meeting left:', entry);
+            return { ...entry, leftAt: new Date().toISOString() };
+        });
+    }
+
+    // Runs `change` on the stored list once earlier changes have finished,
+    // saves the list and resolves with what `change` returned
+    update(change) {
+        const result = this.updates.then(async () => {
+            const meetings = await this.getMeetings();
+            const value = change(meetings);
+
+            await chrome.storage.session.set({ [this.STATE_KEY]: meetings });
+            return value;
+        });
+
+        // A failed change must not block the ones queued after it
+        this.updates = result.catch(() => {});
+        return result;
+    }
+}
@@ -0,0 +1,631 @@
+// services/mp4-remuxer.js
+import { BlobReader, TRACK_TYPES, concatBytes } from './ebml.js';
+import { scanWebM } from './webm-parser.js';
+
+const MOVIE_TIMESCALE = 1000;
+const VIDEO_TIMESCALE = 90000;
+const OPUS_SAMPLE_RATE = 48000;
+const AAC_FRAME_SAMPLES = 1024;
+
+// Used for the last video frame, whose length WebM does not record
+const DEFAULT_FRAME_SECONDS = 1 / 30;
+
+// A fragment also ends at these limits, since MediaRecorder's H.264 can go
+// minutes between keyframes and a fragment's frames are read in one go
+const MAX_FRAGMENT_SECONDS = 2;
+const MAX_FRAGMENT_BYTES = 8 * 1024 * 1024;
+
+// sample_depends_on and sample_is_non_sync_sample (ISO/IEC 14496-12 §8.8.3)
+const SYNC_SAMPLE_FLAGS = 0x02000000;
+const NON_SYNC_SAMPLE_FLAGS = 0x01010000;
+
+// tfhd default-base-is-moof; trun data-offset, sample duration, size and flags
+const TFHD_FLAGS = 0x020000;
+const TRUN_FLAGS = 0x000701;
+
+const NAL_TYPES = {
+    SPS: 7,
+    PPS: 8,
+    ACCESS_UNIT_DELIMITER: 9
+};
+
+const CODEC_NAMES = {
+    V_VP8: 'VP8',
+    V_VP9: 'VP9',
+    V_AV1: 'AV1',
+    'V_MPEG4/ISO/AVC': 'H.264',
+    A_OPUS: 'Opus',
+    A_VORBIS: 'Vorbis',
+    A_AAC: 'AAC'
+};
+
+// Video codec names used in MIME types
+const MIME_VIDEO_CODECS = {
+    vp8: 'V_VP8',
+    vp9: 'V_VP9',
+    vp09: 'V_VP9',
+    av1: 'V_AV1',
+    av01: 'V_AV1',
+    h264: 'V_MPEG4/ISO/AVC',
+    avc1: 'V_MPEG4/ISO/AVC'
+};
+
+const IDENTITY_MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+// Repackages a WebM recording as a fragmented MP4 without touching the
+// encoded frames, so it takes seconds rather than a re-encode's minutes.
+// That only works when MP4 can carry the codecs as they are: H.264 video
+// with Opus or AAC audio. Anything else throws an error saying why.
+//
+// Fragments (moof + mdat) start at video keyframes, or sooner once they
+// reach a few seconds or megabytes. Each one's frames are read when it is
+// built and go into a Blob straight away, leaving the browser, not the
+// script, to hold the finished fragments until the file is assembled.
+export async function remuxToMp4(blob) {
+    if (blob.type.startsWith('video/mp4')) {
+        return blob;
+    }
+
+    // Unsupported codecs are reported before the frames are scanned
+    const header = await scanWebM(blob, { headerOnly: true });
+    header.tracks.entries
+        .filter(entry => [TRACK_TYPES.VIDEO, TRACK_TYPES.AUDIO].includes(entry.type))
+        .forEach(checkCodec);
+
+    const blocks = new Map();
+    const structure = await scanWebM(blob, {
+        onBlock: block => {
+            if (!blocks.has(block.track)) blocks.set(block.track, []);
+            blocks.get(block.track).push(block);
+        }
+    });
+
+    const tracks = createTracks(structure.tracks.entries, blocks, structure.info.timecodeScale);
+    if (tracks.length === 0) {
+        throw new Error('Recording has no media');
+    }
+
+    const reader = new BlobReader(blob);
+    const fragments = [];
+    const boundaries = getFragmentBoundaries(tracks);
+
+    for (let index = 0; index < boundaries.length; index++) {
+        const end = boundaries[index + 1] ?? Infinity;
+        const runs = [];
+
+        for (const track of tracks) {
+            const frames = [];
+            while (track.cursor < track.frames.length && track.frames[track.cursor].time < end) {
+                frames.push(track.frames[track.cursor++]);
+            }
+
+            if (frames.length) {
+                runs.push(await readRun(reader, track, frames));
+            }
+        }
+
+        if (runs.length) {
+            fragments.push(buildFragment(fragments.length + 1, runs));
+        }
+    }
+
+    const initSegment = concatBytes([buildFtyp(tracks), buildMoov(tracks)]);
+    return new Blob([initSegment, ...fragments], { type: 'video/mp4' });
+}
+
+function createTracks(entries, blocks, timecodeScale) {
+    const used = entries.filter(entry =>
+        [TRACK_TYPES.VIDEO, TRACK_TYPES.AUDIO].includes(entry.type) && blocks.has(entry.number)
+    );
+
+    for (const entry of used) {
+        if (blocks.get(entry.number).some(block => block.lacing !== 0)) {
+            throw new Error(`The ${CODEC_NAMES[entry.codecId]} track stores several frames per block, which MP4 export does not support`);
+        }
+    }
+
+    // Both tracks are shifted by the same amount, keeping them in sync,
+    // so that the earliest frame starts at zero
+    const startTime = Math.min(...used.map(entry => blocks.get(entry.number)[0].time));
+    const toSeconds = time => ((time - startTime) * timecodeScale) / 1e9;
+
+    return used.map((entry, index) => {
+        const frames = blocks.get(entry.number)
+            .map(block => ({ ...block, seconds: toSeconds(block.time) }))
+            .sort((a, b) => a.time - b.time);
+
+        return {
+            id: index + 1,
+            entry,
+            isVideo: entry.type === TRACK_TYPES.VIDEO,
+            timescale: getTimescale(entry),
+            frames,
+            cursor: 0,
+            endTime: 0,
+            avcConfig: null
+        };
+    });
+}
+
+// Checks the codecs named in a recording's MIME type, such as
+// `video/webm;codecs=vp9,opus`, so a recording that cannot be exported is
+// turned down before it is downloaded
+export function checkMimeType(mimeType = '') {
+    const codecs = (mimeType.match(/codecs="?([^";]+)/)?.[1] || '').split(',').map(codec => codec.trim().toLowerCase());
+
+    for (const codec of codecs) {
+        const codecId = MIME_VIDEO_CODECS[codec.split('.')[0]];
+        if (codecId) {
+            checkCodec({ type: TRACK_TYPES.VIDEO, codecId });
+        }
+    }
+}
+
+// The reason a codec cannot be remuxed is worth more to the user than
+// "unsupported", since for video the fix is a setting away
+function checkCodec(entry) {
+    const name = CODEC_NAMES[entry.codecId] || entry.codecId || 'an unknown codec';
+
+    if (entry.type === TRACK_TYPES.VIDEO && entry.codecId !== 'V_MPEG4/ISO/AVC') {
+        throw new Error(
+            `This recording's video is ${name}. MP4 players expect H.264, and turning ${name} into H.264 ` +
+            'means re-encoding every frame, which MP4 export does not do. ' +
+            'Set Video format to H.264 in Settings so future recordings can be exported as MP4.'
+        );
+    }
+
+    if (entry.type === TRACK_TYPES.AUDIO && !['A_OPUS', 'A_AAC'].includes(entry.codecId)) {
+        throw new Error(
+            `This recording's audio is ${name}, which MP4 cannot hold without re-encoding it to AAC or Opus.`
+        );
+    }
+
+    if (entry.codecId === 'A_AAC' && !entry.codecPrivate) {
+        throw new Error('This recording\'s AAC audio has no decoder configuration, so it cannot be put in an MP4');
+    }
+}
+
+function getTimescale(entry) {
+    switch (entry.codecId) {
+        case 'A_OPUS':
+            return OPUS_SAMPLE_RATE;
+        case 'A_AAC':
+            return Math.round(entry.audio?.sampleRate || 44100);
+        default:
+            return VIDEO_TIMESCALE;
+    }
+}
+
+// Fragment start times in WebM timecode units, counted on the video track,
+// or the audio when there is none. A fragment starts at each keyframe and
+// whenever the current one has run too long or grown too large; a moof does
+// not have to begin with a sync sample.
+function getFragmentBoundaries(tracks) {
+    const primary = tracks.find(track => track.isVideo) || tracks[0];
+    const boundaries = [-Infinity];
+    let fragmentStart = primary.frames[0].seconds;
+    let fragmentBytes = 0;
+
+    primary.frames.forEach((frame, index) => {
+        const isFull = frame.seconds - fragmentStart >= MAX_FRAGMENT_SECONDS || fragmentBytes >= MAX_FRAGMENT_BYTES;
+
+        if (index > 0 && ((primary.isVideo && frame.keyframe) || isFull)) {
+            boundaries.push(frame.time);
+            fragmentStart = frame.seconds;
+            fragmentBytes = 0;
+        }
+
+        fragmentBytes += frame.size;
+    });
+
+    return boundaries;
+}
+
+// One track's frames within a fragment, read and ready for the mdat
+async function readRun(reader, track, frames) {
+    const samples = [];
+
+    for (const frame of frames) {
+        const data = await reader.readBytes(frame.dataOffset, frame.size);
+
+        samples.push({
+            data: track.isVideo ? toAvcSample(track, data) : data,
+            flags: !track.isVideo || frame.keyframe ? SYNC_SAMPLE_FLAGS : NON_SYNC_SAMPLE_FLAGS,
+            duration: 0
+        });
+    }
+
+    // Timestamps are converted individually and durations taken between
+    // them, so rounding never accumulates into drift
+    const times = frames.map(frame => Math.round(frame.seconds * track.timescale));
+    const nextFrame = track.frames[track.cursor];
+    const nextTime = nextFrame ? Math.round(nextFrame.seconds * track.timescale) : null;
+
+    samples.forEach((sample, i) => {
+        const followingTime = i + 1 < times.length ? times[i + 1] : nextTime;
+        sample.duration = getSampleDuration(track, sample.data, followingTime === null ? null : followingTime - times[i]);
+    });
+
+    const lastIndex = samples.length - 1;
+    track.endTime = Math.max(track.endTime, times[lastIndex] + samples[lastIndex].duration);
+
+    return { track, baseTime: times[0], samples };
+}
+
+function getSampleDuration(track, data, gap) {
+    switch (track.entry.codecId) {
+        case 'A_OPUS':
+            return getOpusPacketSamples(data) || gap || 0;
+        case 'A_AAC':
+            return AAC_FRAME_SAMPLES;
+        default:
+            return gap ?? Math.round(DEFAULT_FRAME_SECONDS * track.timescale);
+    }
+}
+
+// Samples at 48 kHz in an Opus packet, from its TOC byte (RFC 6716 §3.1)
+function getOpusPacketSamples(packet) {
+    if (packet.length === 0) return 0;
+
+    const config = packet[0] >> 3;
+    let frameSamples;
+
+    if (config < 12) {
+        frameSamples = [480, 960, 1920, 2880][config % 4];
+    } else if (config < 16) {
+        frameSamples = [480, 960][config % 2];
+    } else {
+        frameSamples = [120, 240, 480, 960][config % 4];
+    }
+
+    const code = packet[0] & 0x03;
+    const frameCount = code === 0 ? 1 : code === 3 ? (packet[1] ?? 0) & 0x3f : 2;
+
+    return frameSamples * frameCount;
+}
+
+// Chrome writes H.264 into WebM as an Annex B stream, with start codes and
+// its parameter sets inline; MP4 wants length-prefixed NAL units and the
+// parameter sets in the avcC box as well. Inline parameter sets are kept so
+// a mid-recording resolution change still decodes.
+function toAvcSample(track, data) {
+    const { codecPrivate } = track.entry;
+    const lengthSize = codecPrivate && codecPrivate[0] === 1 ? (codecPrivate[4] & 0x03) + 1 : 4;
+    const units = isAnnexB(data) ? splitAnnexB(data) : splitLengthPrefixed(data, lengthSize);
+
+    if (!track.avcConfig) {
+        track.avcConfig = getAvcConfig(codecPrivate, units);
+    }
+
+    return concatBytes(units
+        .filter(unit => (unit[0] & 0x1f) !== NAL_TYPES.ACCESS_UNIT_DELIMITER)
+        .flatMap(unit => [uint(unit.length, 4), unit]));
+}
+
+function isAnnexB(data) {
+    return data[0] === 0 && data[1] === 0 && (data[2] === 1 || (data[2] === 0 && data[3] === 1));
+}
+
+function splitAnnexB(data) {
+    const units = [];
+    let start = -1;
+    let i = 0;
+
+    while (i + 2 < data.length) {
+        if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+            if (start >= 0) units.push(data.subarray(start, trimZeros(data, start, i)));
+            i += 3;
+            start = i;
+        } else {
+            i++;
+        }
+    }
+
+    if (start >= 0) units.push(data.subarray(start));
+    return units.filter(unit => unit.length > 0);
+}
+
+// The zero that makes a start code four bytes long is not part of the
+// unit before it
+function trimZeros(data, start, end) {
+    while (end > start && data[end - 1] === 0) end--;
+    return end;
+}
+
+function splitLengthPrefixed(data, lengthSize) {
+    const units = [];
+    let offset = 0;
+
+    while (offset + lengthSize <= data.length) {
+        let length = 0;
+        for (let i = 0; i < lengthSize; i++) {
+            length = length * 256 + data[offset + i];
+        }
+
+        offset += lengthSize;
+        units.push(data.subarray(offset, Math.min(data.length, offset + length)));
+        offset += length;
+    }
+
+    return units;
+}
+
+// Every sample is rewritten with 4-byte lengths, so an existing avcC is
+// kept but has its length size set to match
+function getAvcConfig(codecPrivate, units) {
+    if (codecPrivate && codecPrivate[0] === 1) {
+        const config = codecPrivate.slice();
+        config[4] |= 0x03;
+        return config;
+    }
+
+    const sps = units.find(unit => (unit[0] & 0x1f) === NAL_TYPES.SPS);
+    const pps = units.find(unit => (unit[0] & 0x1f) === NAL_TYPES.PPS);
+
+    if (!sps || !pps) {
+        throw new Error('The H.264 video does not start with its parameter sets, so it cannot be put in an MP4');
+    }
+
+    return concatBytes([
+        uint(1, 1),
+        sps.subarray(1, 4),
+        uint(0xff, 1),
+        uint(0xe1, 1),
+        uint(sps.length, 2),
+        sps,
+        uint(1, 1),
+        uint(pps.length, 2),
+        pps
+    ]);
+}
+
+function buildFragment(sequence, runs) {
+    // Sizes do not depend on the offsets, so a first pass measures the moof
+    const moofSize = buildMoof(sequence, runs, runs.map(() => 0)).length;
+    const dataOffsets = [];
+    let offset = moofSize + 8;
+
+    for (const run of runs) {
+        dataOffsets.push(offset);
+        offset += run.samples.reduce((total, sample) => total + sample.data.length, 0);
+    }
+
+    const samples = runs.flatMap(run => run.samples.map(sample => sample.data));
+    return new Blob([
+        buildMoof(sequence, runs, dataOffsets),
+        uint(offset - moofSize, 4),
+        ascii('mdat'),
+        ...samples
+    ]);
+}
+
+function buildMoof(sequence, runs, dataOffsets) {
+    return box('moof',
+        fullBox('mfhd', 0, 0, uint(sequence, 4)),
+        ...runs.map((run, i) => box('traf',
+            fullBox('tfhd', 0, TFHD_FLAGS, uint(run.track.id, 4)),
+            fullBox('tfdt', 1, 0, uint(run.baseTime, 8)),
+            fullBox('trun', 0, TRUN_FLAGS,
+                uint(run.samples.length, 4),
+                uint(dataOffsets[i], 4),
+                ...run.samples.flatMap(sample => [
+                    uint(sample.duration, 4),
+                    uint(sample.data.length, 4),
+                    uint(sample.flags, 4)
+                ])
+            )
+        ))
+    );
+}
+
+function buildFtyp(tracks) {
+    const brands = ['isom', 'iso6', 'mp41'];
+    if (tracks.some(track => track.isVideo)) brands.push('avc1');
+
+    return box('ftyp', ascii('isom'), uint(0x200, 4), ...brands.map(ascii));
+}
+
+function buildMoov(tracks) {
+    const duration = Math.round(Math.max(...tracks.map(track =>
+        (track.endTime / track.timescale) * MOVIE_TIMESCALE
+    )));
+
+    return box('moov',
+        fullBox('mvhd', 0, 0,
+            uint(0, 4),
+            uint(0, 4),
+            uint(MOVIE_TIMESCALE, 4),
+            uint(duration, 4),
+            uint(0x00010000, 4),
+            uint(0x0100, 2),
+            new Uint8Array(10),
+            matrix(),
+            new Uint8Array(24),
+            uint(tracks.length + 1, 4)
+        ),
+        ...tracks.map(track => buildTrak(track)),
+        box('mvex',
+            fullBox('mehd', 0, 0, uint(duration, 4)),
+            ...tracks.map(track => fullBox('trex', 0, 0,
+                uint(track.id, 4),
+                uint(1, 4),
+                uint(0, 4),
+                uint(0, 4),
+                uint(0, 4)
+            ))
+        )
+    );
+}
+
+function buildTrak(track) {
+    const video = track.entry.video || { width: 0, height: 0 };
+
+    return box('trak',
+        fullBox('tkhd', 0, 0x000003,
+            uint(0, 4),
+            uint(0, 4),
+            uint(track.id, 4),
+            uint(0, 4),
+            uint(0, 4),
+            new Uint8Array(8),
+            uint(0, 2),
+            uint(0, 2),
+            uint(track.isVideo ? 0 : 0x0100, 2),
+            uint(0, 2),
+            matrix(),
+            uint(track.isVideo ? video.width * 0x10000 : 0, 4),
+            uint(track.isVideo ? video.height * 0x10000 : 0, 4)
+        ),
+        box('mdia',
+            fullBox('mdhd', 0, 0,
+                uint(0, 4),
+                uint(0, 4),
+                uint(track.timescale, 4),
+                uint(0, 4),
+                uint(0x55c4, 2), // "und"
+                uint(0, 2)
+            ),
+            fullBox('hdlr', 0, 0,
+                uint(0, 4),
+                ascii(track.isVideo ? 'vide' : 'soun'),
+                new Uint8Array(12),
+                ascii(track.isVideo ? 'VideoHandler\0' : 'SoundHandler\0')
+            ),
+            box('minf',
+                track.isVideo
+                    ? fullBox('vmhd', 0, 1, new Uint8Array(8))
+                    : fullBox('smhd', 0, 0, new Uint8Array(4)),
+                box('dinf', fullBox('dref', 0, 0, uint(1, 4), fullBox('url ', 0, 1))),
+                box('stbl',
+                    fullBox('stsd', 0, 0, uint(1, 4), buildSampleEntry(track)),
+                    fullBox('stts', 0, 0, uint(0, 4)),
+                    fullBox('stsc', 0, 0, uint(0, 4)),
+                    fullBox('stsz', 0, 0, uint(0, 4), uint(0, 4)),
+                    fullBox('stco', 0, 0, uint(0, 4))
+                )
+            )
+        )
+    );
+}
+
+function buildSampleEntry(track) {
+    const { entry } = track;
+
+    if (track.isVideo) {
+        return box('avc1',
+            new Uint8Array(6),
+            uint(1, 2),
+            new Uint8Array(16),
+            uint(entry.video?.width || 0, 2),
+            uint(entry.video?.height || 0, 2),
+            uint(0x00480000, 4),
+            uint(0x00480000, 4),
+            uint(0, 4),
+            uint(1, 2),
+            new Uint8Array(32),
+            uint(0x0018, 2),
+            uint(0xffff, 2),
+            box('avcC', track.avcConfig)
+        );
+    }
+
+    const channels = entry.audio?.channels || 2;
+    const sampleRate = track.timescale;
+    const audioEntry = (type, config) => box(type,
+        new Uint8Array(6),
+        uint(1, 2),
+        new Uint8Array(8),
+        uint(channels, 2),
+        uint(16, 2),
+        new Uint8Array(4),
+        uint(sampleRate > 0xffff ? 0 : sampleRate * 0x10000, 4),
+        config
+    );
+
+    if (entry.codecId === 'A_OPUS') {
+        return audioEntry('Opus', buildDops(entry.codecPrivate, channels));
+    }
+
+    return audioEntry('mp4a', buildEsds(track.id, entry.codecPrivate));
+}
+
+// WebM keeps Opus's setup as the little-endian OpusHead; MP4 wants the same
+// fields big-endian in dOps (Opus in ISOBMFF §4.3.2)
+function buildDops(opusHead, channels) {
+    if (!opusHead || opusHead.length < 19) {
+        return box('dOps', uint(0, 1), uint(channels, 1), uint(0, 2), uint(OPUS_SAMPLE_RATE, 4), uint(0, 2), uint(0, 1));
+    }
+
+    const view = new DataView(opusHead.buffer, opusHead.byteOffset, opusHead.byteLength);
+    const mappingFamily = opusHead[18];
+
+    return box('dOps',
+        uint(0, 1),
+        uint(opusHead[9], 1),
+        uint(view.getUint16(10, true), 2),
+        uint(view.getUint32(12, true), 4),
+        uint(view.getUint16(16, true), 2),
+        uint(mappingFamily, 1),
+        mappingFamily === 0 ? new Uint8Array(0) : opusHead.subarray(19)
+    );
+}
+
+// AAC's AudioSpecificConfig wrapped in MPEG-4 descriptors
+// (ISO/IEC 14496-1 §7.2.6)
+function buildEsds(trackId, audioSpecificConfig) {
+    return fullBox('esds', 0, 0,
+        descriptor(0x03, concatBytes([
+            uint(trackId, 2),
+            uint(0, 1),
+            descriptor(0x04, concatBytes([
+                uint(0x40, 1), // MPEG-4 audio
+                uint(0x15, 1), // audio stream
+                uint(0, 3),
+                uint(0, 4),
+                uint(0, 4),
+                descriptor(0x05, audioSpecificConfig)
+            ])),
+            descriptor(0x06, uint(0x02, 1))
+        ]))
+    );
+}
+
+function descriptor(tag, payload) {
+    const size = payload.length;
+
+    return concatBytes([
+        uint(tag, 1),
+        new Uint8Array([0x80 | ((size >> 21) & 0x7f), 0x80 | ((size >> 14) & 0x7f), 0x80 | ((size >> 7) & 0x7f), size & 0x7f]),
+        payload
+    ]);
+}
+
+function box(type, ...payloads) {
+    const body = concatBytes(payloads);
+    return concatBytes([uint(body.length + 8, 4), ascii(type), body]);
+}
+
+function fullBox(type, version, flags, ...payloads) {
+    return box(type, uint(version, 1), uint(flags, 3), ...payloads);
+}
+
+function matrix() {
+    return concatBytes(IDENTITY_MATRIX.map(value => uint(value, 4)));
+}
+
+function ascii(text) {
+    return new TextEncoder().encode(text);
+}
+
+// Big-endian, as every number in an MP4 is
+function uint(value, length) {
+    const bytes = new Uint8Array(length);
+    let remaining = value;
+
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = remaining % 256;
+        remaining = Math.floor(remaining / 256);
+    }
+
+    return bytes;
+}
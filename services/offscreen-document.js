@@ -0,0 +1,29 @@
+// services/offscreen-document.js
+
+// The service worker has no DOM, so capture and anything that needs a video
+// element runs in the extension's single offscreen document
+export async function ensureOffscreenDocument() {
+    try {
+        // Check if offscreen document already exists
+        const existingContexts = await chrome.runtime.getContexts({
+            contextTypes: ['OFFSCREEN_DOCUMENT']
+        });
+
+        if (existingContexts.length === 0) {
+            console.log('OffscreenDocument: Creating offscreen document');
+
+            await chrome.offscreen.createDocument({
+                url: 'ui/offscreen.html',
+                reasons: ['USER_MEDIA'],
+                justification: 'Recording meeting audio and video'
+            });
+
+            // Wait for offscreen document to initialize
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            console.log('OffscreenDocument: Offscreen document created');
+        }
+    } catch (error) {
+        console.error('OffscreenDocument: Failed to create offscreen document:', error);
+        throw new Error('Failed to initialize recording system');
+    }
+}
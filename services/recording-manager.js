@@ -1,14 +1,100 @@
 // services/recording-manager.js
+import { SessionStore } from './session-store.js';
+import { RecordingPipeline } from './recording-pipeline.js';
+import { MeetingData } from './meeting-data.js';
+import { ensureOffscreenDocument } from './offscreen-document.js';
+import {
+    buildSegments,
+    closePauses,
+    getActiveDuration,
+    getClipOffset,
+    getClipSpan,
+    getMediaOffset
+} from './recording-timeline.js';
+import { MeetingPlatformRegistry } from '../platforms/index.js';
+
 export class RecordingManager {
     constructor() {
         this.isRecording = false;
         this.isPaused = false;
         this.startTime = null;
-        this.pausedTime = 0;
+        this.pauses = [];
         this.mediaRecorder = null;
         this.stream = null;
         this.recordingData = [];
         this.offscreenDocument = null;
+        this.sessionId = null;
+        this.tabId = null;
+        this.sessionStore = new SessionStore();
+        this.pipeline = new RecordingPipeline();
+        this.meetingData = new MeetingData();
+        this.STATE_KEY = 'recordingSession';
+    }
+
+    async persistState() {
+        try {
+            if (!this.isRecording) {
+                await chrome.storage.session.remove(this.STATE_KEY);
+                return;
+            }
+
+            await chrome.storage.session.set({
+                [this.STATE_KEY]: {
+                    isRecording: this.isRecording,
+                    isPaused: this.isPaused,
+                    startTime: this.startTime ? this.startTime.toISOString() : null,
+                    pauses: this.pauses,
+                    sessionId: this.sessionId,
+                    tabId: this.tabId
+                }
+            });
+        } catch (error) {
+            console.error('RecordingManager: Failed to persist session state:', error);
+        }
+    }
+
+    // The service worker can be stopped mid-capture, so rebuild the session
+    // from storage and trust the offscreen recorder over what was saved
+    async restoreState() {
+        try {
+            const result = await chrome.storage.session.get(this.STATE_KEY);
+            const savedState = result[this.STATE_KEY];
+            const captureState = await this.getCaptureState();
+            const isCapturing = captureState.state === 'recording' || captureState.state === 'paused';
+
+            if (!isCapturing) {
+                if (savedState) {
+                    console.warn('RecordingManager: Saved session has no live recorder, clearing it');
+                    this.cleanup();
+                    await this.persistState();
+                }
+                return this.getStatus();
+            }
+
+            this.isRecording = true;
+            this.isPaused = captureState.state === 'paused';
+            this.sessionId = captureState.sessionId;
+
+            // The recorder owns the timeline, so prefer its copy
+            if (savedState && savedState.sessionId === captureState.sessionId) {
+                this.startTime = new Date(captureState.startTime || savedState.startTime);
+                this.pauses = captureState.pauses || savedState.pauses || [];
+                this.tabId = savedState.tabId || null;
+            } else {
+                const session = await this.sessionStore.getSession(captureState.sessionId);
+                const startTime = captureState.startTime || session?.startTime;
+                this.startTime = startTime ? new Date(startTime) : new Date();
+                this.pauses = captureState.pauses || session?.pauses || [];
+            }
+
+            await this.persistState();
+
+            console.log('RecordingManager: Restored active session:', this.sessionId);
+            return this.getStatus();
+        } catch (error) {
+            console.error('RecordingManager: Failed to restore session state:', error);
+            return this.getStatus();
+        }
     }
 
     async startRecording(options = {}) {
@@ -20,29 +106,57 @@ export class RecordingManager {
             console.log('RecordingManager: Starting recording with options:', options);
 
             // Ensure offscreen document is available
-            await this.ensureOffscreenDocument();
+            await ensureOffscreenDocument();
 
             // Reset state
             this.recordingData = [];
-            this.pausedTime = 0;
+            this.pauses = [];
             this.startTime = new Date();
+            this.tabId = options.tabId || null;
+
+            // The offscreen document can only open a tab stream through an
+            // id minted here for the target tab
+            let tabStreamId = null;
+            if (options.includeTab) {
+                tabStreamId = await this.getTabStreamId(this.tabId);
+            }
+
+            const { StorageManager } = await import('./storage-manager.js');
+            const settings = await new StorageManager().getSettings() || {};
 
             // Send recording start message to offscreen document
             const result = await chrome.runtime.sendMessage({
                 target: 'offscreen',
                 action: 'START_CAPTURE',
                 options: {
+                    includeTab: options.includeTab || false,
+                    tabStreamId,
                     includeScreen: options.includeScreen || false,
                     includeAudio: options.includeAudio || false,
                     includeSystemAudio: options.includeSystemAudio || false,
+                    includeCamera: options.includeCamera || false,
+                    cameraPosition: settings.cameraPosition || 'bottom-right',
+                    cameraSize: settings.cameraSize || 'medium',
+                    cameraShape: settings.cameraShape || 'circle',
+                    micDeviceId: settings.preferredDevices?.audioinput || null,
+                    cameraDeviceId: settings.preferredDevices?.videoinput || null,
                     videoQuality: options.videoQuality || 'medium',
-                    audioQuality: options.audioQuality || 'medium'
+                    videoCodec: settings.videoCodec || 'vp9',
+                    audioQuality: options.audioQuality || 'medium',
+                    silentMicWarningSeconds: settings.silentMicWarningSeconds ?? 30,
+                    micGain: settings.micGain ?? 1,
+                    systemAudioGain: settings.systemAudioGain ?? 1
                 }
             });
 
             if (result && result.success) {
                 this.isRecording = true;
                 this.isPaused = false;
+                this.sessionId = result.sessionId;
+                this.startTime = result.startTime ? new Date(result.startTime) : this.startTime;
+
+                await this.persistState();
+                await this.saveSessionContext();
 
                 console.log('RecordingManager: Recording started successfully');
                 return { success: true, startTime: this.startTime.toISOString() };
@@ -53,6 +167,7 @@ export class RecordingManager {
         } catch (error) {
             console.error('RecordingManager: Failed to start recording:', error);
             this.cleanup();
+            await this.persistState();
             return { success: false, error: error.message };
         }
     }
@@ -73,6 +188,7 @@ export class RecordingManager {
 
             this.isRecording = false;
             this.isPaused = false;
+            await this.persistState();
 
             console.log('RecordingManager: Recording stopped');
             return { success: true };
@@ -80,6 +196,7 @@ export class RecordingManager {
         } catch (error) {
             console.error('RecordingManager: Failed to stop recording:', error);
             this.cleanup();
+            await this.persistState();
             return { success: false, error: error.message };
         }
     }
@@ -93,15 +210,21 @@ export class RecordingManager {
             console.log('RecordingManager: Pausing recording');
 
             // Send pause message to offscreen document
-            await chrome.runtime.sendMessage({
+            const result = await chrome.runtime.sendMessage({
                 target: 'offscreen',
                 action: 'PAUSE_CAPTURE'
             });
 
+            if (!result || !result.success) {
+                throw new Error(result?.error || 'Failed to pause recording');
+            }
+
             this.isPaused = true;
+            this.pauses = result.pauses;
+            await this.persistState();
 
             console.log('RecordingManager: Recording paused');
-            return { success: true };
+            return { success: true, pauses: this.pauses };
 
         } catch (error) {
             console.error('RecordingManager: Failed to pause recording:', error);
@@ -118,15 +241,21 @@ export class RecordingManager {
             console.log('RecordingManager: Resuming recording');
 
             // Send resume message to offscreen document
-            await chrome.runtime.sendMessage({
+            const result = await chrome.runtime.sendMessage({
                 target: 'offscreen',
                 action: 'RESUME_CAPTURE'
             });
 
+            if (!result || !result.success) {
+                throw new Error(result?.error || 'Failed to resume recording');
+            }
+
             this.isPaused = false;
+            this.pauses = result.pauses;
+            await this.persistState();
 
             console.log('RecordingManager: Recording resumed');
-            return { success: true };
+            return { success: true, pauses: this.pauses };
 
         } catch (error) {
             console.error('RecordingManager: Failed to resume recording:', error);
@@ -134,123 +263,296 @@ export class RecordingManager {
         }
     }
 
+    // Markers are stamped here rather than in the page so they share a clock
+    // with the pauses they are measured against
+    async addMarker({ note = '' } = {}) {
+        try {
+            if (!this.isRecording || !this.sessionId) {
+                throw new Error('No active recording to bookmark');
+            }
+
+            const marker = {
+                id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                note: note.trim(),
+                at: new Date().toISOString()
+            };
+
+            await this.sessionStore.mutateSession(this.sessionId, (session) => ({
+                markers: [...(session.markers || []), marker]
+            }));
+
+            console.log('RecordingManager: Marker added at', marker.at);
+            return {
+                success: true,
+                marker,
+                offset: getMediaOffset(this.startTime, this.pauses, marker.at)
+            };
+        } catch (error) {
+            console.error('RecordingManager: Failed to add marker:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async updateGains({ micGain, systemAudioGain }) {
+        if (!this.isRecording) {
+            return { success: true };
+        }
+
+        try {
+            return await chrome.runtime.sendMessage({
+                target: 'offscreen',
+                action: 'SET_GAINS',
+                options: { micGain, systemAudioGain }
+            });
+        } catch (error) {
+            console.error('RecordingManager: Failed to update gains:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getMediaDevices() {
+        try {
+            await ensureOffscreenDocument();
+
+            const result = await chrome.runtime.sendMessage({
+                target: 'offscreen',
+                action: 'ENUMERATE_DEVICES'
+            });
+
+            if (!result || !result.success) {
+                throw new Error(result?.error || 'Failed to list devices');
+            }
+
+            return { success: true, devices: result.devices };
+        } catch (error) {
+            console.error('RecordingManager: Failed to get media devices:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     getStatus() {
         return {
             success: true,
             isRecording: this.isRecording,
             isPaused: this.isPaused,
             startTime: this.startTime ? this.startTime.toISOString() : null,
+            pauses: this.pauses,
             duration: this.getDuration()
         };
     }
 
     getDuration() {
-        if (!this.startTime) return 0;
+        if (!this.startTime || !this.isRecording) return 0;
+
+        return getActiveDuration(this.startTime, this.pauses);
+    }
+
+    // A recording's metadata, taken from the session the recorder and the
+    // meeting collectors wrote so it holds even if this worker restarted
+    // mid-capture
+    getSessionMetadata(session, defaultTitle = 'Meeting Recording') {
+        const startTime = new Date(session.startTime);
+        const endTime = new Date(session.endTime || session.updatedAt || Date.now());
+        const pauses = closePauses(session.pauses || [], endTime);
+
+        return {
+            title: session.title || defaultTitle,
+            url: session.url || '',
+            duration: getActiveDuration(startTime, pauses, endTime),
+            startTime: startTime.toISOString(),
+            endTime: endTime.toISOString(),
+            pauses,
+            segments: buildSegments(startTime, endTime, pauses),
+            markers: (session.markers || [])
+                .map(marker => ({
+                    id: marker.id,
+                    note: marker.note,
+                    at: marker.at,
+                    offset: getMediaOffset(startTime, pauses, marker.at)
+                }))
+                .sort((a, b) => a.offset - b.offset),
+            ...this.meetingData.buildMetadata(session, { startTime, endTime, pauses })
+        };
+    }
+
+    // A clip keeps its source's metadata with every offset moved to where it
+    // lands in the clip; anything that was cut is dropped
+    getClipMetadata(source, { title, ranges }) {
+        const trimSpan = (item) => {
+            const span = getClipSpan(ranges, item.start, item.end);
+            return span && span.end > span.start ? { ...item, ...span } : null;
+        };
+        const moveOffset = (item) => {
+            const offset = getClipOffset(ranges, item.offset);
+            return offset === null ? null : { ...item, offset };
+        };
+
+        return {
+            title: title || `${source.title || 'Meeting Recording'} (clip)`,
+            url: source.url || '',
+            duration: Math.floor(ranges.reduce((total, range) => total + range.end - range.start, 0)),
+            startTime: source.startTime,
+            endTime: source.endTime,
+            mimeType: source.mimeType,
+            sourceRecordingId: source.id,
+            clipRanges: ranges,
+            participants: source.participants || [],
+            markers: (source.markers || []).map(moveOffset).filter(Boolean),
+            transcript: (source.transcript || []).map(trimSpan).filter(Boolean),
+            speakers: (source.speakers || [])
+                .map(speaker => ({ ...speaker, intervals: speaker.intervals.map(trimSpan).filter(Boolean) }))
+                .filter(speaker => speaker.intervals.length > 0),
+            chat: (source.chat || []).map(moveOffset).filter(Boolean)
+        };
+    }
 
-        const now = this.isRecording ? new Date() : this.startTime;
-        return Math.floor((now - this.startTime) / 1000) - this.pausedTime;
+    async getTabStreamId(tabId) {
+        if (!tabId) {
+            throw new Error('No tab selected for tab capture');
+        }
+
+        try {
+            return await chrome.tabCapture.getMediaStreamId({ targetTabId: tabId });
+        } catch (error) {
+            console.error('RecordingManager: Failed to get tab stream id:', error);
+
+            // Chrome only grants tab capture after the toolbar button or a
+            // shortcut was used on the tab; the in-page widget does not count
+            if (/not been invoked/i.test(error.message)) {
+                throw new Error(
+                    'Chrome only lets the extension record a tab after you use its toolbar button or ' +
+                    'keyboard shortcut on that tab. Start tab recording from the toolbar popup or the shortcut.'
+                );
+            }
+
+            throw new Error(`Cannot capture this tab: ${error.message}`);
+        }
+    }
+
+    async saveSessionContext() {
+        try {
+            // Keep enough context on the stored session to title it if it
+            // ever has to be recovered
+            const currentTab = this.tabId
+                ? await chrome.tabs.get(this.tabId)
+                : (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+
+            await this.sessionStore.updateSession(this.sessionId, {
+                title: this.extractMeetingTitle(currentTab),
+                url: currentTab?.url || ''
+            });
+        } catch (error) {
+            console.warn('RecordingManager: Could not save session context:', error);
+        }
     }
 
-    async ensureOffscreenDocument() {
+    async getCaptureState() {
         try {
-            // Check if offscreen document already exists
             const existingContexts = await chrome.runtime.getContexts({
                 contextTypes: ['OFFSCREEN_DOCUMENT']
             });
 
             if (existingContexts.length === 0) {
-                console.log('RecordingManager: Creating offscreen document');
+                return { state: 'inactive', sessionId: null };
+            }
 
-                await chrome.offscreen.createDocument({
-                    url: 'ui/offscreen.html',
-                    reasons: ['USER_MEDIA'],
-                    justification: 'Recording meeting audio and video'
-                });
+            const result = await chrome.runtime.sendMessage({
+                target: 'offscreen',
+                action: 'GET_CAPTURE_STATE'
+            });
 
-                // Wait for offscreen document to initialize
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                console.log('RecordingManager: Offscreen document created');
-            }
+            return result?.success ? result : { state: 'inactive', sessionId: null };
         } catch (error) {
-            console.error('RecordingManager: Failed to create offscreen document:', error);
-            throw new Error('Failed to initialize recording system');
+            console.warn('RecordingManager: Could not query capture state:', error);
+            return { state: 'inactive', sessionId: null };
         }
     }
 
-    async handleRecordingData(data) {
+    async recoverOrphanedSessions() {
         try {
-            console.log('RecordingManager: Processing recording data');
-
-            const { blob, mimeType, size } = data;
-            const endTime = new Date();
-            const duration = this.getDuration();
+            await this.pipeline.markInterruptedRuns();
 
-            // Get current tab information
-            const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-            const currentTab = tabs[0];
-
-            const metadata = {
-                title: this.extractMeetingTitle(currentTab),
-                url: currentTab?.url || '',
-                duration,
-                startTime: this.startTime.toISOString(),
-                endTime: endTime.toISOString(),
-                fileSize: size,
-                mimeType
-            };
+            const sessions = await this.sessionStore.getSessions();
+            if (sessions.length === 0) {
+                return { success: true, recovered: 0 };
+            }
 
-            console.log('RecordingManager: Recording metadata:', metadata);
+            // Never touch the session the offscreen document is still writing
+            // or processing
+            const { sessionId: liveSessionId } = await this.getCaptureState();
 
-            // Import storage manager dynamically to avoid circular dependencies
-            const { StorageManager } = await import('./storage-manager.js');
-            const storageManager = new StorageManager();
+            let recoveredCount = 0;
 
-            // Try to upload to cloud first, fallback to local storage
-            const { ApiService } = await import('./api-service.js');
-            const apiService = new ApiService();
+            for (const session of sessions) {
+                if (session.id === liveSessionId) continue;
 
-            try {
-                const uploadResult = await apiService.uploadRecording(blob, metadata);
+                const claimedSession = await this.sessionStore.claimSession(session.id, 'recovering');
+                if (!claimedSession) continue;
 
-                if (uploadResult.success) {
-                    // Store metadata in local storage
-                    await storageManager.addRecording(uploadResult.recording);
+                try {
+                    if (claimedSession.chunkCount === 0) {
+                        await this.sessionStore.deleteSession(session.id);
+                        continue;
+                    }
 
-                    // Show success notification
-                    chrome.notifications.create({
-                        type: 'basic',
-                        iconUrl: 'icons/icon48.png',
-                        title: 'Recording Saved',
-                        message: `Meeting recording uploaded successfully (${this.formatFileSize(size)})`
+                    await this.pipeline.process(claimedSession, {
+                        ...this.getSessionMetadata(claimedSession, 'Recovered Recording'),
+                        recovered: true
                     });
-                } else {
-                    throw new Error('Upload failed');
-                }
-            } catch (uploadError) {
-                console.warn('RecordingManager: Upload failed, saving locally:', uploadError);
 
-                // Save locally with sync pending
-                const localRecording = {
-                    id: `local-${Date.now()}`,
-                    ...metadata,
-                    isLocal: true,
-                    needsSync: true,
-                    blob: blob // Store blob for later sync
-                };
-
-                await storageManager.addLocalRecording(localRecording);
+                    recoveredCount++;
+                } catch (error) {
+                    console.error('RecordingManager: Failed to recover session:', session.id, error);
+
+                    // A claim left behind would make every later pass skip
+                    // the session, so put it back the way it was found
+                    try {
+                        await this.sessionStore.updateSession(session.id, { state: session.state, claimedBy: null });
+                    } catch (releaseError) {
+                        console.error('RecordingManager: Failed to release session:', session.id, releaseError);
+                    }
+                }
+            }
 
-                // Show local save notification
+            if (recoveredCount > 0) {
                 chrome.notifications.create({
                     type: 'basic',
                     iconUrl: 'icons/icon48.png',
-                    title: 'Recording Saved Locally',
-                    message: 'Upload failed. Recording saved locally and will sync when connection is restored.'
+                    title: 'Recording Recovered',
+                    message: `${recoveredCount} interrupted recording(s) were recovered`
                 });
             }
 
-            this.cleanup();
-            console.log('RecordingManager: Recording processing completed');
+            console.log(`RecordingManager: Recovered ${recoveredCount} orphaned session(s)`);
+            return { success: true, recovered: recoveredCount };
+        } catch (error) {
+            console.error('RecordingManager: Failed to recover sessions:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async handleRecordingData(data) {
+        try {
+            console.log('RecordingManager: Processing recording data');
+
+            const { sessionId } = data;
+            const session = await this.sessionStore.claimSession(sessionId, 'processing');
+
+            if (!session) {
+                console.warn('RecordingManager: Session already claimed, skipping:', sessionId);
+                return { success: false, error: 'Session already being processed' };
+            }
+
+            const metadata = this.getSessionMetadata(session);
+
+            console.log('RecordingManager: Recording metadata:', metadata);
+
+            if (this.sessionId === sessionId) {
+                this.cleanup();
+                await this.persistState();
+            }
+
+            return await this.pipeline.process(session, metadata);
 
         } catch (error) {
             console.error('RecordingManager: Error processing recording:', error);
@@ -261,6 +563,67 @@ export class RecordingManager {
                 title: 'Recording Error',
                 message: 'Failed to save recording. Please try again.'
             });
+
+            return { success: false, error: error.message };
+        }
+    }
+
+    async handleRecordingError({ error, sessionId }) {
+        console.error('RecordingManager: Capture reported an error:', error);
+
+        const captureState = await this.getCaptureState();
+        const isCapturing = captureState.state === 'recording' || captureState.state === 'paused';
+
+        chrome.notifications.create({
+            type: 'basic',
+            iconUrl: 'icons/icon48.png',
+            title: 'Recording Error',
+            message: error || 'An unknown recording error occurred'
+        });
+
+        // A recorder that is still running has reported a recoverable problem
+        if (isCapturing) {
+            return { success: true, stopped: false };
+        }
+
+        const wasRecording = this.isRecording;
+        this.cleanup();
+        await this.persistState();
+
+        // While the offscreen document still holds the session it will finish
+        // processing it; otherwise salvage whatever chunks were saved
+        if (sessionId && captureState.sessionId !== sessionId) {
+            const session = await this.sessionStore.claimSession(sessionId, 'processing');
+
+            if (session && session.chunkCount > 0) {
+                await this.pipeline.process(session, {
+                    ...this.getSessionMetadata(session),
+                    captureError: error
+                });
+            } else if (session) {
+                await this.sessionStore.deleteSession(sessionId);
+            }
+        }
+
+        return { success: true, stopped: wasRecording };
+    }
+
+    async retryRecordingStage(recordingId, stage) {
+        return await this.pipeline.retry(recordingId, stage);
+    }
+
+    // The clip's media is already in the media store under `id`
+    async createClip(source, { id, title, ranges }) {
+        try {
+            if (!ranges || ranges.length === 0) {
+                throw new Error('A clip needs at least one range');
+            }
+
+            console.log('RecordingManager: Creating clip of', source.id);
+            return await this.pipeline.processClip(id, this.getClipMetadata(source, { title, ranges }));
+        } catch (error) {
+            console.error('RecordingManager: Failed to create clip:', error);
+            return { success: false, error: error.message };
         }
     }
 
@@ -268,20 +631,13 @@ export class RecordingManager {
         if (!tab) return 'Meeting Recording';
 
         // Extract meaningful title from meeting platforms
-        const { title, url } = tab;
-
-        if (url.includes('meet.google.com')) {
-            return title.replace(' - Google Meet', '') || 'Google Meet';
-        } else if (url.includes('zoom.us')) {
-            return title.replace('Zoom Meeting', 'Zoom Meeting') || 'Zoom Meeting';
-        } else if (url.includes('teams.microsoft.com')) {
-            return title.replace(' | Microsoft Teams', '') || 'Microsoft Teams Meeting';
-        } else if (url.includes('webex.com')) {
-            return title.replace(' - Cisco Webex', '') || 'Webex Meeting';
+        const platformTitle = MeetingPlatformRegistry.extractTitle(tab);
+        if (platformTitle) {
+            return platformTitle;
         }
 
         // Generic title cleanup
-        const cleanTitle = title
+        const cleanTitle = (tab.title || '')
             .replace(/^Meeting -, /, '')
             .replace(/ - [^-]*$/, '')
             .trim();
@@ -301,9 +657,11 @@ export class RecordingManager {
         this.isRecording = false;
         this.isPaused = false;
         this.startTime = null;
-        this.pausedTime = 0;
+        this.pauses = [];
         this.recordingData = [];
         this.mediaRecorder = null;
         this.stream = null;
+        this.sessionId = null;
+        this.tabId = null;
     }
 }
\ No newline at end of file
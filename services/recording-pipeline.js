@@ -0,0 +1,355 @@
+// services/recording-pipeline.js
+import { SessionStore } from './session-store.js';
+import { StorageManager } from './storage-manager.js';
+import { ApiService } from './api-service.js';
+import { fixWebM } from './webm-fixer.js';
+import { hashBlob } from './sha256.js';
+import { ensureOffscreenDocument } from './offscreen-document.js';
+
+export const PIPELINE_STAGES = ['receive', 'finalize', 'checksum', 'store', 'thumbnails', 'upload', 'notify'];
+
+const WEBM_MAGIC = [0x1a, 0x45, 0xdf, 0xa3];
+
+export class RecordingPipeline {
+    constructor() {
+        this.sessionStore = new SessionStore();
+        this.storageManager = new StorageManager();
+        this.apiService = new ApiService();
+    }
+
+    // `session` must already be claimed by the caller
+    async process(session, metadata) {
+        return this.start({
+            id: `local-${session.id}`,
+            ...metadata,
+            sessionId: session.id,
+            mimeType: session.mimeType
+        });
+    }
+
+    // Clips are cut by the clip editor, which stores their media under `id`
+    // before handing them over
+    async processClip(id, metadata) {
+        return this.start({ id, ...metadata, mediaId: id });
+    }
+
+    async start(fields) {
+        const recording = {
+            ...fields,
+            isLocal: true,
+            needsSync: true,
+            pipelineStatus: 'processing',
+            failedStage: null,
+            stages: Object.fromEntries(PIPELINE_STAGES.map(stage => [stage, { status: 'pending' }]))
+        };
+
+        await this.storageManager.addLocalRecording(recording);
+        console.log('RecordingPipeline: Processing recording:', recording.id);
+
+        return this.runFrom(recording, 'receive', {});
+    }
+
+    async retry(recordingId, stage) {
+        try {
+            const recording = await this.storageManager.getRecording(recordingId);
+            if (!recording || !recording.stages) {
+                throw new Error('Recording has no pipeline to retry');
+            }
+
+            if (!PIPELINE_STAGES.includes(stage)) {
+                throw new Error(`Unknown pipeline stage: ${stage}`);
+            }
+
+            // Recordings made before a stage existed have no entry for it
+            if (recording.stages[stage]?.status === 'running') {
+                throw new Error(`Stage ${stage} is already running`);
+            }
+
+            console.log(`RecordingPipeline: Retrying ${recordingId} from ${stage}`);
+
+            // Until `store` has run, the data only lives where `receive` reads
+            // it from and earlier stage output was never kept, so start over
+            if (recording.stages.store.status !== 'done') {
+                return await this.runFrom(recording, 'receive', {});
+            }
+
+            const blob = await this.storageManager.getRecordingMedia(recording);
+            return await this.runFrom(recording, stage, blob ? { blob } : {});
+        } catch (error) {
+            console.error('RecordingPipeline: Retry failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Runs left in `running` by a service worker that was shut down mid-stage
+    // can never finish, so surface them as failures the user can retry
+    async markInterruptedRuns() {
+        try {
+            const recordings = await this.storageManager.getRecordings();
+            const interrupted = recordings.filter(r => r.pipelineStatus === 'processing');
+
+            for (const recording of interrupted) {
+                const stage = PIPELINE_STAGES.find(name =>
+                    ['running', 'pending'].includes(recording.stages[name]?.status)
+                );
+
+                if (!stage) {
+                    await this.storageManager.updateRecording(recording.id, { pipelineStatus: 'complete' });
+                    continue;
+                }
+
+                await this.storageManager.updateRecording(recording.id, {
+                    pipelineStatus: 'failed',
+                    failedStage: stage,
+                    stages: {
+                        ...recording.stages,
+                        [stage]: { status: 'failed', error: 'Processing was interrupted' }
+                    }
+                });
+            }
+
+            return interrupted.length;
+        } catch (error) {
+            console.error('RecordingPipeline: Failed to mark interrupted runs:', error);
+            return 0;
+        }
+    }
+
+    async runFrom(recording, fromStage, context) {
+        const startIndex = PIPELINE_STAGES.indexOf(fromStage);
+
+        recording = await this.storageManager.updateRecording(recording.id, {
+            pipelineStatus: 'processing',
+            failedStage: null
+        });
+
+        for (const stage of PIPELINE_STAGES.slice(startIndex)) {
+            recording = await this.setStageStatus(recording, stage, { status: 'running' });
+
+            try {
+                const { updates = {}, status = 'done', recordingId = recording.id } =
+                    await this.runStage(stage, recording, context) || {};
+
+                recording = await this.storageManager.updateRecording(recordingId, updates);
+                recording = await this.setStageStatus(recording, stage, { status });
+            } catch (error) {
+                console.error(`RecordingPipeline: Stage ${stage} failed for ${recording.id}:`, error);
+
+                recording = await this.setStageStatus(recording, stage, {
+                    status: 'failed',
+                    error: error.message
+                });
+                recording = await this.storageManager.updateRecording(recording.id, {
+                    pipelineStatus: 'failed',
+                    failedStage: stage
+                });
+
+                this.notifyFailure(recording, stage);
+                return { success: false, recordingId: recording.id, stage, error: error.message };
+            }
+        }
+
+        recording = await this.storageManager.updateRecording(recording.id, { pipelineStatus: 'complete' });
+        this.broadcastUpdate(recording, null);
+
+        console.log('RecordingPipeline: Completed recording:', recording.id);
+        return { success: true, recordingId: recording.id };
+    }
+
+    runStage(stage, recording, context) {
+        switch (stage) {
+            case 'receive':
+                return this.receive(recording, context);
+            case 'finalize':
+                return this.finalize(recording, context);
+            case 'checksum':
+                return this.checksum(recording, context);
+            case 'store':
+                return this.store(recording, context);
+            case 'thumbnails':
+                return this.thumbnails(recording);
+            case 'upload':
+                return this.upload(recording, context);
+            case 'notify':
+                return this.notify(recording);
+        }
+    }
+
+    async receive(recording, context) {
+        const blob = context.blob || (recording.sessionId
+            ? await this.sessionStore.getSessionBlob(recording.sessionId, recording.mimeType)
+            : await this.storageManager.getRecordingMedia(recording));
+
+        if (!blob || blob.size === 0) {
+            throw new Error('No recording data available');
+        }
+
+        context.blob = blob;
+        return { updates: { fileSize: blob.size } };
+    }
+
+    async finalize(recording, context) {
+        const mimeType = (recording.mimeType || 'video/webm').split(';')[0];
+
+        if (mimeType !== 'video/webm') {
+            context.blob = new Blob([context.blob], { type: recording.mimeType });
+            return { updates: { fileSize: context.blob.size } };
+        }
+
+        const header = new Uint8Array(await context.blob.slice(0, 4).arrayBuffer());
+        if (!WEBM_MAGIC.every((byte, i) => header[i] === byte)) {
+            throw new Error('Recording is not a valid WebM container');
+        }
+
+        // Without a duration and cues the file plays but cannot be seeked;
+        // that is still better than failing the recording
+        try {
+            context.blob = await fixWebM(new Blob([context.blob], { type: recording.mimeType }), {
+                fallbackDuration: recording.duration
+            });
+            return { updates: { fileSize: context.blob.size, seekable: true } };
+        } catch (error) {
+            console.warn('RecordingPipeline: Could not index WebM recording:', recording.id, error);
+            context.blob = new Blob([context.blob], { type: recording.mimeType });
+            return { updates: { fileSize: context.blob.size, seekable: false } };
+        }
+    }
+
+    async checksum(recording, context) {
+        return { updates: { checksum: `sha256:${await hashBlob(context.blob)}` } };
+    }
+
+    async store(recording, context) {
+        const mediaId = await this.storageManager.saveRecordingMedia(recording.id, context.blob);
+        const updates = { mediaId };
+
+        // The recording is safely stored, so the crash-recovery copy can go
+        await this.storageManager.updateRecording(recording.id, updates);
+        if (recording.sessionId) {
+            await this.sessionStore.deleteSession(recording.sessionId);
+        }
+
+        return { updates };
+    }
+
+    // Previews are drawn from the stored media by the offscreen document,
+    // which has the video element the service worker lacks. A recording is
+    // fine without them, so a failure here never holds up the upload.
+    async thumbnails(recording) {
+        try {
+            await ensureOffscreenDocument();
+
+            const result = await chrome.runtime.sendMessage({
+                target: 'offscreen',
+                action: 'GENERATE_THUMBNAILS',
+                options: {
+                    recordingId: recording.id,
+                    mediaId: recording.mediaId,
+                    duration: recording.duration
+                }
+            });
+
+            if (!result || !result.success) {
+                throw new Error(result?.error || 'Thumbnail generation failed');
+            }
+
+            // Audio-only recordings have nothing to show
+            if (!result.thumbnailId) {
+                return { status: 'skipped' };
+            }
+
+            return { updates: { thumbnailId: result.thumbnailId, thumbnailCount: result.frameCount } };
+        } catch (error) {
+            console.warn('RecordingPipeline: Could not generate thumbnails:', recording.id, error);
+            return { status: 'skipped' };
+        }
+    }
+
+    async upload(recording, context) {
+        const settings = await this.storageManager.getSettings();
+        if (settings && settings.autoUpload === false) {
+            return { status: 'skipped' };
+        }
+
+        if (!context.blob) {
+            throw new Error('Recording data is no longer stored locally');
+        }
+
+        const { mediaId, stages, pipelineStatus, failedStage, ...metadata } = recording;
+        const uploadResult = await this.apiService.uploadRecording(context.blob, metadata);
+
+        if (!uploadResult.success) {
+            throw new Error(uploadResult.error || 'Upload failed');
+        }
+
+        const syncedRecording = await this.storageManager.markRecordingSynced(recording.id, uploadResult.recording);
+        return { recordingId: syncedRecording.id };
+    }
+
+    async notify(recording) {
+        const uploaded = !recording.isLocal;
+
+        chrome.notifications.create({
+            type: 'basic',
+            iconUrl: 'icons/icon48.png',
+            title: 'Recording Saved',
+            message: uploaded
+                ? `Meeting recording uploaded successfully (${formatFileSize(recording.fileSize)})`
+                : `Meeting recording saved locally (${formatFileSize(recording.fileSize)})`
+        });
+
+        return {};
+    }
+
+    notifyFailure(recording, stage) {
+        const isUploadFailure = stage === 'upload';
+
+        chrome.notifications.create({
+            type: 'basic',
+            iconUrl: 'icons/icon48.png',
+            title: isUploadFailure ? 'Recording Saved Locally' : 'Recording Error',
+            message: isUploadFailure
+                ? 'Upload failed. Recording saved locally and will sync when connection is restored.'
+                : `Failed to ${stage} recording. Open the dashboard to retry.`
+        });
+    }
+
+    async setStageStatus(recording, stage, { status, error = null }) {
+        const now = new Date().toISOString();
+        const previous = recording.stages[stage] || {};
+        const stageState = {
+            status,
+            startedAt: status === 'running' ? now : previous.startedAt,
+            completedAt: status === 'running' ? null : now,
+            error
+        };
+
+        const updated = await this.storageManager.updateRecording(recording.id, {
+            stages: { ...recording.stages, [stage]: stageState }
+        });
+
+        this.broadcastUpdate(updated, stage);
+        return updated;
+    }
+
+    broadcastUpdate(recording, stage) {
+        chrome.runtime.sendMessage({
+            action: 'RECORDING_PIPELINE_UPDATED',
+            data: {
+                recordingId: recording.id,
+                stage,
+                pipelineStatus: recording.pipelineStatus
+            }
+        }).catch(() => {
+            // No popup or dashboard is open to receive the update
+        });
+    }
+}
+
+function formatFileSize(bytes) {
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    if (!bytes) return '0 Bytes';
+
+    const i = Math.floor(Math.log(bytes) / Math.log(1024));
+    return Math.round((bytes / Math.pow(1024, i)) * 100) / 100 + ' ' + sizes[i];
+}
@@ -0,0 +1,94 @@
+// services/recording-timeline.js
+
+// A recording's timeline is its wall-clock start plus the list of pauses as
+// `{ start, end }` ISO timestamps, where `end` is null while still paused.
+// MediaRecorder writes nothing while paused, so media time only advances
+// between pauses.
+
+export function closePauses(pauses = [], endTime) {
+    const end = new Date(endTime).toISOString();
+    return pauses.map(pause => (pause.end ? pause : { ...pause, end }));
+}
+
+export function getPausedMs(pauses = [], at = Date.now()) {
+    const limit = new Date(at).getTime();
+
+    return pauses.reduce((total, pause) => {
+        const start = new Date(pause.start).getTime();
+        const end = Math.min(pause.end ? new Date(pause.end).getTime() : limit, limit);
+        return total + Math.max(0, end - start);
+    }, 0);
+}
+
+// Seconds of recorded media between `startTime` and `at`
+export function getActiveDuration(startTime, pauses = [], at = Date.now()) {
+    if (!startTime) return 0;
+
+    const elapsed = new Date(at).getTime() - new Date(startTime).getTime();
+    return Math.max(0, Math.floor((elapsed - getPausedMs(pauses, at)) / 1000));
+}
+
+// Position in the media, in seconds, of something that happened at wall-clock
+// time `at`. Moments inside a pause map to where recording resumed.
+export function getMediaOffset(startTime, pauses = [], at) {
+    const elapsed = new Date(at).getTime() - new Date(startTime).getTime();
+    return Math.max(0, (elapsed - getPausedMs(pauses, at)) / 1000);
+}
+
+// The stretches that were actually recorded, each with its media offsets and
+// the wall-clock span it covers
+export function buildSegments(startTime, endTime, pauses = []) {
+    const segments = [];
+    const ordered = closePauses(pauses, endTime)
+        .slice()
+        .sort((a, b) => new Date(a.start) - new Date(b.start));
+
+    let wallStart = new Date(startTime).getTime();
+    let mediaStart = 0;
+
+    for (const boundary of [...ordered, { start: endTime, end: null }]) {
+        const wallEnd = new Date(boundary.start).getTime();
+
+        if (wallEnd > wallStart) {
+            const length = (wallEnd - wallStart) / 1000;
+            segments.push({
+                mediaStart,
+                mediaEnd: mediaStart + length,
+                wallStart: new Date(wallStart).toISOString(),
+                wallEnd: new Date(wallEnd).toISOString()
+            });
+            mediaStart += length;
+        }
+
+        if (boundary.end) {
+            wallStart = Math.max(wallStart, new Date(boundary.end).getTime());
+        }
+    }
+
+    return segments;
+}
+
+// Where a source offset lands in a clip made of `ranges`, the source's kept
+// stretches as `{ start, end }` seconds in order; null if it was cut
+export function getClipOffset(ranges, offset) {
+    let clipStart = 0;
+
+    for (const range of ranges) {
+        if (offset < range.start) return null;
+        if (offset <= range.end) return clipStart + offset - range.start;
+        clipStart += range.end - range.start;
+    }
+
+    return null;
+}
+
+// A source span trimmed to the parts the clip kept, or null if none were
+export function getClipSpan(ranges, start, end) {
+    const kept = ranges.filter(range => range.start < end && range.end > start);
+    if (kept.length === 0) return null;
+
+    return {
+        start: getClipOffset(ranges, Math.max(start, kept[0].start)),
+        end: getClipOffset(ranges, Math.min(end, kept[kept.length - 1].end))
+    };
+}
@@ -0,0 +1,206 @@
+// services/scheduler.js
+import { MeetingPlatformRegistry } from '../platforms/index.js';
+
+// Alarm names carry the schedule id, so an alarm that fires after the service
+// worker restarted can still be traced back to its schedule
+const START_ALARM_PREFIX = 'schedule-start:';
+const STOP_ALARM_PREFIX = 'schedule-stop:';
+
+// Longest recording a schedule may ask for, in minutes
+const MAX_DURATION_MINUTES = 12 * 60;
+
+export const SCHEDULE_STATUS = {
+    SCHEDULED: 'scheduled',
+    RECORDING: 'recording',
+    COMPLETED: 'completed',
+    MISSED: 'missed',
+    FAILED: 'failed'
+};
+
+// Schedules live in StorageManager and each one is backed by chrome.alarms:
+// a start alarm at its start time and, once recording, a stop alarm at the
+// end of its maximum duration. Alarms do not reliably outlast a browser
+// restart, so `syncAlarms` recreates them from the stored schedules.
+export class RecordingScheduler {
+    constructor(storageManager) {
+        this.storageManager = storageManager;
+    }
+
+    async getSchedules() {
+        return await this.storageManager.getSchedules();
+    }
+
+    async getSchedule(id) {
+        return await this.storageManager.getSchedule(id);
+    }
+
+    // Creates a schedule, or edits the one with `data.id`. A schedule that
+    // missed or failed can be edited to try again.
+    async saveSchedule(data) {
+        const existing = data.id ? await this.getSchedule(data.id) : null;
+
+        if (data.id && !existing) {
+            throw new Error(`Schedule not found: ${data.id}`);
+        }
+
+        if (existing?.status === SCHEDULE_STATUS.RECORDING) {
+            throw new Error('A schedule cannot be edited while it is recording');
+        }
+
+        const now = new Date().toISOString();
+        const schedule = {
+            ...this.validateSchedule(data),
+            id: existing?.id || `schedule-${Date.now()}`,
+            status: SCHEDULE_STATUS.SCHEDULED,
+            error: null,
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+
+        await this.storageManager.saveSchedule(schedule);
+        await this.clearAlarms(schedule.id);
+        await chrome.alarms.create(START_ALARM_PREFIX + schedule.id, {
+            when: new Date(schedule.startTime).getTime()
+        });
+
+        console.log('RecordingScheduler: Schedule saved:', schedule.id, schedule.startTime);
+        return schedule;
+    }
+
+    async cancelSchedule(id) {
+        await this.clearAlarms(id);
+        await this.storageManager.deleteSchedule(id);
+
+        console.log('RecordingScheduler: Schedule cancelled:', id);
+    }
+
+    validateSchedule({ title = '', url = '', platform = '', startTime, maxDurationMinutes }) {
+        const target = url.trim();
+
+        if (target) {
+            let parsed;
+            try {
+                parsed = new URL(target);
+            } catch (error) {
+                throw new Error('Enter a valid meeting URL');
+            }
+
+            if (!['http:', 'https:'].includes(parsed.protocol)) {
+                throw new Error('Only web pages can be recorded on a schedule');
+            }
+        } else if (!MeetingPlatformRegistry.get(platform)) {
+            throw new Error('Choose a meeting URL or platform');
+        }
+
+        const start = new Date(startTime);
+        if (Number.isNaN(start.getTime())) {
+            throw new Error('Choose a start time');
+        }
+
+        if (start.getTime() <= Date.now()) {
+            throw new Error('The start time must be in the future');
+        }
+
+        const duration = parseInt(maxDurationMinutes, 10);
+        if (!Number.isFinite(duration) || duration < 1 || duration > MAX_DURATION_MINUTES) {
+            throw new Error(`The maximum duration must be between 1 and ${MAX_DURATION_MINUTES} minutes`);
+        }
+
+        return {
+            title: title.trim(),
+            url: target,
+            platform: target ? '' : platform,
+            startTime: start.toISOString(),
+            maxDurationMinutes: duration
+        };
+    }
+
+    getEndTime(schedule) {
+        return new Date(schedule.startTime).getTime() + schedule.maxDurationMinutes * 60 * 1000;
+    }
+
+    // Returns `{ type, scheduleId }` for alarms created here, otherwise null
+    parseAlarm(name) {
+        if (name.startsWith(START_ALARM_PREFIX)) {
+            return { type: 'start', scheduleId: name.slice(START_ALARM_PREFIX.length) };
+        }
+
+        if (name.startsWith(STOP_ALARM_PREFIX)) {
+            return { type: 'stop', scheduleId: name.slice(STOP_ALARM_PREFIX.length) };
+        }
+
+        return null;
+    }
+
+    async markRecording(id, { tabId, sessionId }) {
+        const schedule = await this.storageManager.updateSchedule(id, {
+            status: SCHEDULE_STATUS.RECORDING,
+            tabId,
+            sessionId,
+            startedAt: new Date().toISOString()
+        });
+
+        await chrome.alarms.create(STOP_ALARM_PREFIX + id, { when: this.getEndTime(schedule) });
+        return schedule;
+    }
+
+    async markFinished(id, status, error = null) {
+        await this.clearAlarms(id);
+        return await this.storageManager.updateSchedule(id, { status, error });
+    }
+
+    // A scheduled recording that was stopped before its alarm is complete too
+    async completeSession(sessionId) {
+        const schedules = await this.getSchedules();
+
+        for (const schedule of schedules) {
+            if (schedule.status === SCHEDULE_STATUS.RECORDING && schedule.sessionId === sessionId) {
+                await this.markFinished(schedule.id, SCHEDULE_STATUS.COMPLETED);
+            }
+        }
+    }
+
+    // A start that passed while the browser was closed still records if
+    // some of its duration is left; otherwise the schedule was missed
+    async syncAlarms() {
+        try {
+            const schedules = await this.getSchedules();
+            const alarms = await chrome.alarms.getAll();
+            const alarmNames = new Set(alarms.map(alarm => alarm.name));
+            const now = Date.now();
+
+            for (const schedule of schedules) {
+                const endTime = this.getEndTime(schedule);
+
+                if (schedule.status === SCHEDULE_STATUS.SCHEDULED) {
+                    if (endTime <= now) {
+                        await this.markFinished(schedule.id, SCHEDULE_STATUS.MISSED, 'The browser was not running at the start time');
+                    } else if (!alarmNames.has(START_ALARM_PREFIX + schedule.id)) {
+                        await chrome.alarms.create(START_ALARM_PREFIX + schedule.id, {
+                            when: Math.max(now, new Date(schedule.startTime).getTime())
+                        });
+                    }
+                } else if (schedule.status === SCHEDULE_STATUS.RECORDING &&
+                    !alarmNames.has(STOP_ALARM_PREFIX + schedule.id)) {
+                    await chrome.alarms.create(STOP_ALARM_PREFIX + schedule.id, { when: Math.max(now, endTime) });
+                }
+            }
+
+            // Alarms left behind by schedules that no longer exist
+            const scheduleIds = new Set(schedules.map(schedule => schedule.id));
+            for (const alarm of alarms) {
+                const parsed = this.parseAlarm(alarm.name);
+                if (parsed && !scheduleIds.has(parsed.scheduleId)) {
+                    await chrome.alarms.clear(alarm.name);
+                }
+            }
+        } catch (error) {
+            console.error('RecordingScheduler: Failed to sync alarms:', error);
+        }
+    }
+
+    async clearAlarms(id) {
+        await chrome.alarms.clear(START_ALARM_PREFIX + id);
+        await chrome.alarms.clear(STOP_ALARM_PREFIX + id);
+    }
+}
@@ -0,0 +1,216 @@
+// services/session-store.js
+import { openDatabase, promisifyRequest, transactionDone } from './idb.js';
+
+// Capture sessions are written chunk by chunk while MediaRecorder runs, so a
+// crashed offscreen document or browser restart leaves everything recorded so
+// far on disk for the background service to recover.
+export class SessionStore {
+    constructor() {
+        this.DB_NAME = 'meeting-recorder-sessions';
+        this.DB_VERSION = 1;
+        this.STORES = {
+            SESSIONS: 'sessions',
+            CHUNKS: 'chunks'
+        };
+        this.db = null;
+    }
+
+    async open() {
+        if (this.db) return this.db;
+
+        this.db = await openDatabase(this.DB_NAME, this.DB_VERSION, (db) => {
+            if (!db.objectStoreNames.contains(this.STORES.SESSIONS)) {
+                db.createObjectStore(this.STORES.SESSIONS, { keyPath: 'id' });
+            }
+
+            if (!db.objectStoreNames.contains(this.STORES.CHUNKS)) {
+                db.createObjectStore(this.STORES.CHUNKS, { keyPath: ['sessionId', 'index'] });
+            }
+        });
+
+        this.db.onversionchange = () => {
+            this.db.close();
+            this.db = null;
+        };
+
+        return this.db;
+    }
+
+    async createSession(session) {
+        try {
+            const db = await this.open();
+            const now = new Date().toISOString();
+            const record = {
+                state: 'recording',
+                chunkCount: 0,
+                byteLength: 0,
+                createdAt: now,
+                updatedAt: now,
+                ...session
+            };
+
+            const tx = db.transaction(this.STORES.SESSIONS, 'readwrite');
+            tx.objectStore(this.STORES.SESSIONS).put(record);
+            await transactionDone(tx);
+
+            console.log('SessionStore: Session created:', record.id);
+            return record;
+        } catch (error) {
+            console.error('SessionStore: Failed to create session:', error);
+            throw error;
+        }
+    }
+
+    async appendChunk(sessionId, index, data) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction([this.STORES.SESSIONS, this.STORES.CHUNKS], 'readwrite');
+            const sessions = tx.objectStore(this.STORES.SESSIONS);
+
+            tx.objectStore(this.STORES.CHUNKS).put({ sessionId, index, data });
+
+            const session = await promisifyRequest(sessions.get(sessionId));
+            if (session) {
+                session.chunkCount = Math.max(session.chunkCount, index + 1);
+                session.byteLength += data.size;
+                session.updatedAt = new Date().toISOString();
+                sessions.put(session);
+            }
+
+            await transactionDone(tx);
+        } catch (error) {
+            console.error('SessionStore: Failed to append chunk:', sessionId, index, error);
+            throw error;
+        }
+    }
+
+    async getSession(id) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction(this.STORES.SESSIONS, 'readonly');
+            return await promisifyRequest(tx.objectStore(this.STORES.SESSIONS).get(id));
+        } catch (error) {
+            console.error('SessionStore: Failed to get session:', error);
+            return null;
+        }
+    }
+
+    async getSessions() {
+        try {
+            const db = await this.open();
+            const tx = db.transaction(this.STORES.SESSIONS, 'readonly');
+            return await promisifyRequest(tx.objectStore(this.STORES.SESSIONS).getAll());
+        } catch (error) {
+            console.error('SessionStore: Failed to get sessions:', error);
+            return [];
+        }
+    }
+
+    async updateSession(id, updates) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction(this.STORES.SESSIONS, 'readwrite');
+            const sessions = tx.objectStore(this.STORES.SESSIONS);
+
+            const session = await promisifyRequest(sessions.get(id));
+            if (!session) {
+                throw new Error(`Session not found: ${id}`);
+            }
+
+            const updatedSession = { ...session, ...updates, updatedAt: new Date().toISOString() };
+            sessions.put(updatedSession);
+            await transactionDone(tx);
+
+            return updatedSession;
+        } catch (error) {
+            console.error('SessionStore: Failed to update session:', error);
+            throw error;
+        }
+    }
+
+    // Like updateSession, but the updates are computed from the stored session
+    // inside the same transaction, so concurrent writers cannot lose changes
+    async mutateSession(id, mutate) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction(this.STORES.SESSIONS, 'readwrite');
+            const sessions = tx.objectStore(this.STORES.SESSIONS);
+
+            const session = await promisifyRequest(sessions.get(id));
+            if (!session) {
+                throw new Error(`Session not found: ${id}`);
+            }
+
+            const updatedSession = { ...session, ...mutate(session), updatedAt: new Date().toISOString() };
+            sessions.put(updatedSession);
+            await transactionDone(tx);
+
+            return updatedSession;
+        } catch (error) {
+            console.error('SessionStore: Failed to mutate session:', error);
+            throw error;
+        }
+    }
+
+    // Atomically moves a session into `state` unless another context has
+    // already claimed it, so recovery and normal completion never both
+    // finalize the same session.
+    async claimSession(id, state) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction(this.STORES.SESSIONS, 'readwrite');
+            const sessions = tx.objectStore(this.STORES.SESSIONS);
+
+            const session = await promisifyRequest(sessions.get(id));
+            if (!session || session.claimedBy) {
+                await transactionDone(tx);
+                return null;
+            }
+
+            const claimedSession = {
+                ...session,
+                state,
+                claimedBy: state,
+                updatedAt: new Date().toISOString()
+            };
+            sessions.put(claimedSession);
+            await transactionDone(tx);
+
+            return claimedSession;
+        } catch (error) {
+            console.error('SessionStore: Failed to claim session:', error);
+            return null;
+        }
+    }
+
+    async getSessionBlob(id, mimeType) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction(this.STORES.CHUNKS, 'readonly');
+            const range = IDBKeyRange.bound([id, 0], [id, Infinity]);
+            const chunks = await promisifyRequest(tx.objectStore(this.STORES.CHUNKS).getAll(range));
+
+            return new Blob(chunks.map(chunk => chunk.data), { type: mimeType });
+        } catch (error) {
+            console.error('SessionStore: Failed to read session data:', error);
+            throw error;
+        }
+    }
+
+    async deleteSession(id) {
+        try {
+            const db = await this.open();
+            const tx = db.transaction([this.STORES.SESSIONS, this.STORES.CHUNKS], 'readwrite');
+
+            tx.objectStore(this.STORES.SESSIONS).delete(id);
+            tx.objectStore(this.STORES.CHUNKS).delete(IDBKeyRange.bound([id, 0], [id, Infinity]));
+            await transactionDone(tx);
+
+            console.log('SessionStore: Session deleted:', id);
+            return true;
+        } catch (error) {
+            console.error('SessionStore: Failed to delete session:', error);
+            throw error;
+        }
+    }
+}
@@ -1,22 +1,39 @@
 // services/storage-manager.js
+import { MediaStore } from './media-store.js';
+import { DEFAULT_AUTO_RECORD } from './auto-record-rules.js';
+
 export class StorageManager {
     constructor() {
         this.STORAGE_KEYS = {
             RECORDINGS: 'recordings',
             LOCAL_RECORDINGS: 'localRecordings',
             SETTINGS: 'settings',
-            API_CONFIG: 'apiConfig'
+            API_CONFIG: 'apiConfig',
+            SCHEDULES: 'scheduledRecordings'
         };
+        this.mediaStore = new MediaStore();
     }
 
     async initialize() {
         try {
             const defaultSettings = {
                 videoQuality: 'medium',
+                videoCodec: 'vp9',
                 audioQuality: 'medium',
                 autoUpload: true,
                 notifications: true,
-                theme: 'system'
+                theme: 'system',
+                micGain: 1,
+                systemAudioGain: 1,
+                silentMicWarningSeconds: 30,
+                cameraPosition: 'bottom-right',
+                cameraSize: 'medium',
+                cameraShape: 'circle',
+                preferredDevices: {
+                    audioinput: null,
+                    videoinput: null
+                },
+                autoRecord: { ...DEFAULT_AUTO_RECORD }
             };
 
             const existingSettings = await this.getSettings();
@@ -73,6 +90,21 @@ export class StorageManager {
         }
     }
 
+    async setPreferredDevice(kind, deviceId) {
+        try {
+            const settings = await this.getSettings() || {};
+            const preferredDevices = {
+                ...settings.preferredDevices,
+                [kind]: deviceId || null
+            };
+
+            return await this.updateSettings({ preferredDevices });
+        } catch (error) {
+            console.error('StorageManager: Failed to set preferred device:', error);
+            throw error;
+        }
+    }
+
     async getApiConfig() {
         try {
             const result = await chrome.storage.local.get([this.STORAGE_KEYS.API_CONFIG]);
@@ -142,6 +174,10 @@ export class StorageManager {
                 [this.STORAGE_KEYS.RECORDINGS]: trimmedRecordings
             });
 
+            for (const dropped of recordings.slice(100)) {
+                await this.deleteRecordingThumbnails(dropped);
+            }
+
             console.log('StorageManager: Recording added:', recording.id);
             return recording;
         } catch (error) {
@@ -165,6 +201,11 @@ export class StorageManager {
                 [this.STORAGE_KEYS.LOCAL_RECORDINGS]: trimmedRecordings
             });
 
+            for (const dropped of localRecordings.slice(50)) {
+                await this.deleteRecordingMedia(dropped);
+                await this.deleteRecordingThumbnails(dropped);
+            }
+
             console.log('StorageManager: Local recording added:', recording.id);
             return recording;
         } catch (error) {
@@ -173,6 +214,64 @@ export class StorageManager {
         }
     }
 
+    async updateRecording(id, updates) {
+        try {
+            for (const key of [this.STORAGE_KEYS.RECORDINGS, this.STORAGE_KEYS.LOCAL_RECORDINGS]) {
+                const result = await chrome.storage.local.get([key]);
+                const recordings = result[key] || [];
+                const recordingIndex = recordings.findIndex(r => r.id === id);
+
+                if (recordingIndex !== -1) {
+                    recordings[recordingIndex] = { ...recordings[recordingIndex], ...updates };
+                    await chrome.storage.local.set({ [key]: recordings });
+                    return recordings[recordingIndex];
+                }
+            }
+
+            throw new Error(`Recording not found: ${id}`);
+        } catch (error) {
+            console.error('StorageManager: Failed to update recording:', error);
+            throw error;
+        }
+    }
+
+    // Moves a local recording into the cloud list once the API has accepted
+    // it, keeping the local metadata the API does not know about
+    async markRecordingSynced(localId, cloudRecording) {
+        try {
+            const result = await chrome.storage.local.get([this.STORAGE_KEYS.LOCAL_RECORDINGS]);
+            const localRecordings = result[this.STORAGE_KEYS.LOCAL_RECORDINGS] || [];
+            const localRecording = localRecordings.find(r => r.id === localId);
+
+            if (!localRecording) {
+                throw new Error(`Local recording not found: ${localId}`);
+            }
+
+            const { blob: _, mediaId, ...metadata } = localRecording;
+            const syncedRecording = {
+                ...metadata,
+                ...cloudRecording,
+                localId,
+                isLocal: false,
+                needsSync: false
+            };
+
+            await chrome.storage.local.set({
+                [this.STORAGE_KEYS.LOCAL_RECORDINGS]: localRecordings.filter(r => r.id !== localId)
+            });
+            await this.addRecording(syncedRecording);
+
+            // The cloud copy is now the source of truth
+            await this.deleteRecordingMedia(localRecording);
+
+            console.log('StorageManager: Recording synced:', localId, '->', syncedRecording.id);
+            return syncedRecording;
+        } catch (error) {
+            console.error('StorageManager: Failed to mark recording synced:', error);
+            throw error;
+        }
+    }
+
     async deleteRecording(id) {
         try {
             // Try to delete from cloud recordings first
@@ -184,6 +283,8 @@ export class StorageManager {
                 await chrome.storage.local.set({
                     [this.STORAGE_KEYS.RECORDINGS]: updatedCloudRecordings
                 });
+                await this.deleteRecordingMedia(cloudRecordings.find(r => r.id === id));
+                await this.deleteRecordingThumbnails(cloudRecordings.find(r => r.id === id));
                 console.log('StorageManager: Cloud recording deleted:', id);
                 return true;
             }
@@ -197,6 +298,8 @@ export class StorageManager {
                 await chrome.storage.local.set({
                     [this.STORAGE_KEYS.LOCAL_RECORDINGS]: updatedLocalRecordings
                 });
+                await this.deleteRecordingMedia(localRecordings.find(r => r.id === id));
+                await this.deleteRecordingThumbnails(localRecordings.find(r => r.id === id));
                 console.log('StorageManager: Local recording deleted:', id);
                 return true;
             }
@@ -209,12 +312,150 @@ export class StorageManager {
         }
     }
 
+    async getSchedules() {
+        try {
+            const result = await chrome.storage.local.get([this.STORAGE_KEYS.SCHEDULES]);
+            const schedules = result[this.STORAGE_KEYS.SCHEDULES] || [];
+
+            return schedules.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+        } catch (error) {
+            console.error('StorageManager: Failed to get schedules:', error);
+            return [];
+        }
+    }
+
+    async getSchedule(id) {
+        const schedules = await this.getSchedules();
+        return schedules.find(schedule => schedule.id === id) || null;
+    }
+
+    // Adds the schedule, or replaces the one with the same id
+    async saveSchedule(schedule) {
+        try {
+            const schedules = (await this.getSchedules()).filter(s => s.id !== schedule.id);
+
+            await chrome.storage.local.set({
+                [this.STORAGE_KEYS.SCHEDULES]: [...schedules, schedule]
+            });
+
+            return schedule;
+        } catch (error) {
+            console.error('StorageManager: Failed to save schedule:', error);
+            throw error;
+        }
+    }
+
+    async updateSchedule(id, updates) {
+        const schedule = await this.getSchedule(id);
+        if (!schedule) {
+            throw new Error(`Schedule not found: ${id}`);
+        }
+
+        return await this.saveSchedule({ ...schedule, ...updates, updatedAt: new Date().toISOString() });
+    }
+
+    async deleteSchedule(id) {
+        try {
+            const schedules = await this.getSchedules();
+
+            await chrome.storage.local.set({
+                [this.STORAGE_KEYS.SCHEDULES]: schedules.filter(schedule => schedule.id !== id)
+            });
+
+            return true;
+        } catch (error) {
+            console.error('StorageManager: Failed to delete schedule:', error);
+            throw error;
+        }
+    }
+
+    async saveRecordingMedia(recordingId, blob) {
+        return await this.mediaStore.putMedia(recordingId, blob);
+    }
+
+    async getRecordingMedia(recording) {
+        if (!recording || !recording.mediaId) return null;
+        return await this.mediaStore.getMedia(recording.mediaId);
+    }
+
+    async deleteRecordingMedia(recording) {
+        if (!recording || !recording.mediaId) return;
+
+        try {
+            await this.mediaStore.deleteMedia(recording.mediaId);
+        } catch (error) {
+            console.warn('StorageManager: Could not delete recording media:', recording.id, error);
+        }
+    }
+
+    // Thumbnails outlive the media when a recording syncs to the cloud, so
+    // they only go with the recording itself
+    async deleteRecordingThumbnails(recording) {
+        if (!recording || !recording.thumbnailId) return;
+
+        try {
+            await this.mediaStore.deleteThumbnails(recording.thumbnailId);
+        } catch (error) {
+            console.warn('StorageManager: Could not delete recording thumbnails:', recording.id, error);
+        }
+    }
+
+    // Older versions kept media inline as base64 data URLs; move them into
+    // the media store and leave only a reference behind
+    async migrateLegacyMedia() {
+        try {
+            const result = await chrome.storage.local.get([this.STORAGE_KEYS.LOCAL_RECORDINGS]);
+            const localRecordings = result[this.STORAGE_KEYS.LOCAL_RECORDINGS] || [];
+            const legacyRecordings = localRecordings.filter(r => typeof r.blob === 'string');
+
+            if (legacyRecordings.length === 0) {
+                return { success: true, migrated: 0 };
+            }
+
+            console.log(`StorageManager: Migrating ${legacyRecordings.length} legacy recordings`);
+
+            let migratedCount = 0;
+            const migratedRecordings = [];
+
+            for (const recording of localRecordings) {
+                if (typeof recording.blob !== 'string') {
+                    migratedRecordings.push(recording);
+                    continue;
+                }
+
+                try {
+                    const response = await fetch(recording.blob);
+                    const blob = await response.blob();
+                    await this.mediaStore.putMedia(recording.id, blob);
+
+                    const { blob: _, ...metadata } = recording;
+                    migratedRecordings.push({ ...metadata, mediaId: recording.id });
+                    migratedCount++;
+                } catch (error) {
+                    console.error('StorageManager: Failed to migrate recording:', recording.id, error);
+                    migratedRecordings.push(recording);
+                }
+            }
+
+            await chrome.storage.local.set({
+                [this.STORAGE_KEYS.LOCAL_RECORDINGS]: migratedRecordings
+            });
+
+            console.log(`StorageManager: Migrated ${migratedCount} recordings to the media store`);
+            return { success: true, migrated: migratedCount };
+        } catch (error) {
+            console.error('StorageManager: Failed to migrate legacy media:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     async syncPendingRecordings() {
         try {
             const result = await chrome.storage.local.get([this.STORAGE_KEYS.LOCAL_RECORDINGS]);
             const localRecordings = result[this.STORAGE_KEYS.LOCAL_RECORDINGS] || [];
 
-            const pendingRecordings = localRecordings.filter(r => r.needsSync);
+            // Recordings still in the pipeline have no stored data to upload yet
+            const pendingRecordings = localRecordings.filter(r => r.needsSync && r.mediaId);
 
             if (pendingRecordings.length === 0) {
                 return { success: true, synced: 0 };
@@ -226,34 +467,33 @@ export class StorageManager {
             const apiService = new ApiService();
 
             let syncedCount = 0;
-            const updatedLocalRecordings = [...localRecordings];
 
             for (const recording of pendingRecordings) {
                 try {
-                    // Convert blob data back to blob for upload
-                    const response = await fetch(recording.blob);
-                    const blob = await response.blob();
+                    const blob = await this.getRecordingMedia(recording);
+                    if (!blob) {
+                        throw new Error('Recording media is missing');
+                    }
 
-                    // Remove blob from metadata
-                    const { blob: _, ...metadata } = recording;
+                    const { mediaId, ...metadata } = recording;
 
                     const uploadResult = await apiService.uploadRecording(blob, metadata);
 
                     if (uploadResult.success) {
-                        // Update the local recording to mark as synced
-                        const recordingIndex = updatedLocalRecordings.findIndex(r => r.id === recording.id);
-                        if (recordingIndex !== -1) {
-                            updatedLocalRecordings[recordingIndex] = {
-                                ...uploadResult.recording,
-                                needsSync: false,
-                                isLocal: false
-                            };
-                            delete updatedLocalRecordings[recordingIndex].blob;
+                        const syncedRecording = await this.markRecordingSynced(recording.id, uploadResult.recording);
+
+                        // Manual sync completes a failed pipeline upload too
+                        if (syncedRecording.stages) {
+                            await this.updateRecording(syncedRecording.id, {
+                                stages: {
+                                    ...syncedRecording.stages,
+                                    upload: { status: 'done', completedAt: new Date().toISOString(), error: null }
+                                },
+                                failedStage: syncedRecording.failedStage === 'upload' ? null : syncedRecording.failedStage,
+                                pipelineStatus: syncedRecording.failedStage === 'upload' ? 'complete' : syncedRecording.pipelineStatus
+                            });
                         }
 
-                        // Also add to cloud recordings
-                        await this.addRecording(uploadResult.recording);
-
                         syncedCount++;
                     }
                 } catch (error) {
@@ -261,11 +501,6 @@ export class StorageManager {
                 }
             }
 
-            // Update local recordings
-            await chrome.storage.local.set({
-                [this.STORAGE_KEYS.LOCAL_RECORDINGS]: updatedLocalRecordings
-            });
-
             console.log(`StorageManager: Successfully synced ${syncedCount} recordings`);
             return { success: true, synced: syncedCount };
 
@@ -0,0 +1,73 @@
+// services/transcript-export.js
+
+// Transcript lines are `{ speaker, text, start, end }` with times in seconds
+// from the start of the media. Chat messages (`{ sender, text, offset }`) are
+// exported as short cues of their own, labelled as chat.
+
+// How long a chat message stays on screen as a subtitle
+const CHAT_CUE_SECONDS = 4;
+
+export const TRANSCRIPT_FORMATS = {
+    vtt: { extension: 'vtt', mimeType: 'text/vtt' },
+    srt: { extension: 'srt', mimeType: 'application/x-subrip' }
+};
+
+export function toWebVTT(transcript, chat = []) {
+    const cues = buildCues(transcript, chat).map(line => {
+        const voice = line.speaker ? `<v ${escapeVttText(line.speaker)}>` : '';
+        return `${formatTimestamp(line.start, '.')} --> ${formatTimestamp(line.end, '.')}\n${voice}${escapeVttText(line.text)}`;
+    });
+
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+export function toSRT(transcript, chat = []) {
+    const cues = buildCues(transcript, chat).map((line, index) => {
+        const text = line.speaker ? `${line.speaker}: ${line.text}` : line.text;
+        return `${index + 1}\n${formatTimestamp(line.start, ',')} --> ${formatTimestamp(line.end, ',')}\n${text}`;
+    });
+
+    return cues.join('\n\n') + '\n';
+}
+
+export function exportTranscript({ transcript = [], chat = [] }, format) {
+    switch (format) {
+        case 'vtt':
+            return toWebVTT(transcript, chat);
+        case 'srt':
+            return toSRT(transcript, chat);
+        default:
+            throw new Error(`Unsupported transcript format: ${format}`);
+    }
+}
+
+function buildCues(transcript, chat) {
+    const chatCues = chat.map(message => ({
+        speaker: message.sender ? `${message.sender} (chat)` : 'Chat',
+        text: message.text,
+        start: message.offset,
+        end: message.offset + CHAT_CUE_SECONDS
+    }));
+
+    return [...transcript, ...chatCues].sort((a, b) => a.start - b.start);
+}
+
+// HH:MM:SS.mmm for WebVTT, HH:MM:SS,mmm for SRT
+function formatTimestamp(seconds, separator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    const pad = (value, length = 2) => value.toString().padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+// Cue text may not contain "-->" or unescaped markup characters
+function escapeVttText(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
@@ -0,0 +1,77 @@
+// services/video-frames.js
+
+// How long to wait for one seek before giving up on that frame
+const SEEK_TIMEOUT_MS = 5000;
+
+// Grabs still frames from a video at `times` (seconds) by seeking a hidden
+// video element and drawing each frame onto a canvas. Needs a page with a
+// DOM; frames that cannot be reached come back as null, and audio-only media
+// gives an empty list.
+export async function captureFrames(src, times, { width = 160, type = 'image/jpeg', quality = 0.7 } = {}) {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.preload = 'auto';
+    video.src = src;
+
+    try {
+        await waitForEvent(video, 'loadeddata');
+        if (!video.videoWidth) return [];
+
+        const height = Math.round((width * video.videoHeight) / video.videoWidth);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+
+        const frames = [];
+        for (const time of times) {
+            try {
+                video.currentTime = time;
+                await waitForEvent(video, 'seeked');
+
+                context.drawImage(video, 0, 0, width, height);
+                frames.push(await new Promise(resolve => canvas.toBlob(resolve, type, quality)));
+            } catch (error) {
+                console.warn('VideoFrames: Could not capture frame at', time, error);
+                frames.push(null);
+            }
+        }
+
+        return frames;
+    } finally {
+        video.removeAttribute('src');
+        video.load();
+    }
+}
+
+// Evenly spaced times across `duration`, each in the middle of its slot so
+// the first and last frames are not the black edges of the recording
+export function getFrameTimes(duration, count) {
+    return Array.from({ length: count }, (_, i) => ((i + 0.5) * duration) / count);
+}
+
+function waitForEvent(video, event) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            cleanup();
+            reject(new Error(`Timed out waiting for ${event}`));
+        }, SEEK_TIMEOUT_MS);
+
+        const onEvent = () => {
+            cleanup();
+            resolve();
+        };
+        const onError = () => {
+            cleanup();
+            reject(new Error(video.error?.message || 'Video could not be loaded'));
+        };
+        const cleanup = () => {
+            clearTimeout(timer);
+            video.removeEventListener(event, onEvent);
+            video.removeEventListener('error', onError);
+        };
+
+        video.addEventListener(event, onEvent);
+        video.addEventListener('error', onError);
+    });
+}
@@ -0,0 +1,183 @@
+// services/webm-clipper.js
+import {
+    EBML_IDS,
+    TRACK_TYPES,
+    concatBytes,
+    encodeElement,
+    encodeElementHeader,
+    encodeId,
+    encodeSize,
+    encodeUint
+} from './ebml.js';
+import { scanWebM } from './webm-parser.js';
+
+// A Segment whose size is marked unknown, as MediaRecorder writes it
+const UNKNOWN_SEGMENT_HEADER = concatBytes([
+    encodeId(EBML_IDS.SEGMENT),
+    new Uint8Array([0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff])
+]);
+
+// Block timecodes are 16-bit offsets from their cluster's timecode
+const MAX_CLUSTER_SPAN = 30000;
+
+// Frames are kept as runs of numbers in one flat array rather than as
+// objects, since an hour of recording has hundreds of thousands of them
+const FRAME_FIELDS = 5;
+
+// Cuts a WebM recording down to `ranges` (`{ start, end }` in seconds) by
+// copying frames, never re-encoding them. Video can only start at a keyframe,
+// so each range's start moves back to the keyframe before it; the ranges
+// actually kept come back with the clip.
+//
+// The clip is written the way MediaRecorder writes a recording, with no
+// duration or cues, and is indexed by the pipeline's finalize stage like
+// any other recording.
+export async function clipWebM(blob, ranges) {
+    const header = await scanWebM(blob, { headerOnly: true });
+    const video = header.tracks.entries.find(entry => entry.type === TRACK_TYPES.VIDEO);
+
+    // time, track, keyframe, dataOffset, size for each frame, in file order
+    const frames = [];
+    const keyframeTimes = video ? [] : null;
+
+    const structure = await scanWebM(blob, {
+        onBlock: block => {
+            if (block.lacing !== 0) {
+                throw new Error('Recording stores several frames per block, which clipping does not support');
+            }
+
+            frames.push(block.time, block.track, block.keyframe ? 1 : 0, block.dataOffset, block.size);
+            if (video && block.track === video.number && block.keyframe) {
+                keyframeTimes.push(block.time);
+            }
+        }
+    });
+
+    const scale = structure.info.timecodeScale;
+    const toUnits = seconds => Math.round((seconds * 1e9) / scale);
+
+    const kept = snapRanges(
+        ranges.map(range => ({ start: toUnits(range.start), end: toUnits(range.end) })),
+        keyframeTimes
+    );
+
+    // Where each kept range starts in the clip
+    let shift = 0;
+    const shifts = kept.map(range => {
+        const rangeShift = shift;
+        shift += range.end - range.start;
+        return rangeShift;
+    });
+
+    // One walk over the frames; audio and video interleave slightly out of
+    // time order, so each frame finds its range rather than moving a cursor
+    // that could only go forward
+    const clusters = [];
+    let cluster = null;
+
+    for (let i = 0; i < frames.length; i += FRAME_FIELDS) {
+        const time = frames[i];
+        const track = frames[i + 1];
+        const keyframe = frames[i + 2] === 1;
+        const rangeIndex = findRange(kept, time);
+        if (rangeIndex === -1) continue;
+
+        const clipTime = time - kept[rangeIndex].start + shifts[rangeIndex];
+        const startsGop = video && track === video.number && keyframe;
+
+        if (!cluster || cluster.rangeIndex !== rangeIndex || startsGop ||
+            Math.abs(clipTime - cluster.timecode) > MAX_CLUSTER_SPAN) {
+            cluster = { rangeIndex, timecode: clipTime, parts: [], size: 0 };
+            clusters.push(cluster);
+        }
+
+        addBlock(cluster, blob, { track, keyframe, dataOffset: frames[i + 3], size: frames[i + 4] }, clipTime - cluster.timecode);
+    }
+
+    if (clusters.length === 0) {
+        throw new Error('The clip has no media in it');
+    }
+
+    const parts = [
+        blob.slice(0, structure.ebmlEnd),
+        UNKNOWN_SEGMENT_HEADER,
+        encodeElement(EBML_IDS.INFO, concatBytes(structure.info.children)),
+        blob.slice(structure.tracks.offset, structure.tracks.end),
+        ...structure.others.map(other => blob.slice(other.offset, other.end))
+    ];
+
+    for (const { timecode, size, parts: blocks } of clusters) {
+        const timecodeElement = encodeUint(EBML_IDS.TIMECODE, timecode);
+        parts.push(encodeElementHeader(EBML_IDS.CLUSTER, timecodeElement.length + size), timecodeElement, ...blocks);
+    }
+
+    return {
+        blob: new Blob(parts, { type: blob.type }),
+        ranges: kept.map(range => ({
+            start: (range.start * scale) / 1e9,
+            end: (range.end * scale) / 1e9
+        }))
+    };
+}
+
+// Index of the range holding `time`, or -1; ranges are sorted and disjoint
+function findRange(ranges, time) {
+    let low = 0;
+    let high = ranges.length - 1;
+
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+
+        if (time < ranges[middle].start) {
+            high = middle - 1;
+        } else if (time >= ranges[middle].end) {
+            low = middle + 1;
+        } else {
+            return middle;
+        }
+    }
+
+    return -1;
+}
+
+// Moves each start back to a keyframe, then merges ranges that now overlap
+function snapRanges(ranges, keyframeTimes) {
+    const snapped = ranges
+        .filter(range => range.end > range.start)
+        .map(range => {
+            if (!keyframeTimes || keyframeTimes.length === 0) return range;
+
+            const keyframe = keyframeTimes.filter(time => time <= range.start).pop() ?? keyframeTimes[0];
+            return { start: keyframe, end: Math.max(range.end, keyframe) };
+        })
+        .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const range of snapped) {
+        const last = merged[merged.length - 1];
+
+        if (last && range.start <= last.end) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+    }
+
+    return merged;
+}
+
+// Every frame is written as a SimpleBlock with its new timecode; the frame
+// itself stays a slice of the source
+function addBlock(cluster, blob, frame, timecode) {
+    const fields = new Uint8Array(3);
+    const view = new DataView(fields.buffer);
+
+    view.setInt16(0, timecode);
+    fields[2] = frame.keyframe ? 0x80 : 0;
+
+    const header = concatBytes([encodeSize(frame.track), fields]);
+    const blockHeader = concatBytes([encodeElementHeader(EBML_IDS.SIMPLE_BLOCK, header.length + frame.size), header]);
+
+    cluster.parts.push(blockHeader, blob.slice(frame.dataOffset, frame.dataOffset + frame.size));
+    cluster.size += blockHeader.length + frame.size;
+}
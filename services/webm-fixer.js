@@ -0,0 +1,159 @@
+// services/webm-fixer.js
+import {
+    EBML_IDS,
+    TRACK_TYPES,
+    concatBytes,
+    encodeElement,
+    encodeElementHeader,
+    encodeFloat,
+    encodeId,
+    encodeUint
+} from './ebml.js';
+import { scanWebM } from './webm-parser.js';
+
+// 4-byte id and 8-byte size
+const CLUSTER_HEADER_SIZE = 12;
+
+// MediaRecorder streams WebM out as it records, so the file it leaves has no
+// duration, no seek index, and segment and cluster sizes marked "unknown".
+// Players then show no length and cannot seek. `fixWebM` rewrites it as:
+//
+//   EBML header | Segment { SeekHead, Info + Duration, Tracks, ..., Cues, Clusters }
+//
+// Only the header elements and the new index are built in memory; the
+// original header and clusters are reused as slices of the input Blob, so the
+// output costs little more memory than the recording itself.
+export async function fixWebM(blob, { fallbackDuration = 0 } = {}) {
+    const lastBlocks = new Map();
+    const structure = await scanWebM(blob, { onBlock: block => trackLastBlock(lastBlocks, block) });
+    const { tracks, clusters } = structure;
+
+    if (clusters.length === 0) {
+        throw new Error('Recording has no media');
+    }
+
+    const cueTrack = getCueTrack(tracks.entries);
+    const cuePoints = clusters
+        .map((cluster, index) => ({ index, time: Math.max(0, cluster.keyframeTimes[cueTrack]) }))
+        .filter(point => !Number.isNaN(point.time));
+
+    const infoElement = encodeElement(EBML_IDS.INFO, concatBytes([
+        ...structure.info.children,
+        encodeFloat(EBML_IDS.DURATION, getDuration(structure, lastBlocks, fallbackDuration))
+    ]));
+
+    const trackParts = [
+        blob.slice(tracks.offset, tracks.end),
+        ...structure.others.map(other => blob.slice(other.offset, other.end))
+    ];
+    const trackSize = trackParts.reduce((total, part) => total + part.size, 0);
+
+    // Every number in SeekHead and Cues is fixed-width, so their sizes are
+    // known before the positions they hold
+    const seekHeadSize = encodeSeekHead({ info: 0, tracks: 0, cues: cuePoints.length ? 0 : null }).length;
+    const cuesSize = cuePoints.length ? encodeCues(cuePoints, [], cueTrack).length : 0;
+
+    const infoPosition = seekHeadSize;
+    const tracksPosition = infoPosition + infoElement.length;
+    const cuesPosition = tracksPosition + trackSize;
+
+    const clusterPositions = [];
+    let position = cuesPosition + cuesSize;
+    for (const cluster of clusters) {
+        clusterPositions.push(position);
+        position += CLUSTER_HEADER_SIZE + (cluster.dataEnd - cluster.dataOffset);
+    }
+
+    const parts = [
+        blob.slice(0, structure.ebmlEnd),
+        encodeElementHeader(EBML_IDS.SEGMENT, position),
+        encodeSeekHead({
+            info: infoPosition,
+            tracks: tracksPosition,
+            cues: cuePoints.length ? cuesPosition : null
+        }),
+        infoElement,
+        ...trackParts
+    ];
+
+    if (cuePoints.length) {
+        parts.push(encodeCues(cuePoints, clusterPositions, cueTrack));
+    }
+
+    // Clusters get their real size in place of "unknown"
+    for (const cluster of clusters) {
+        parts.push(
+            encodeElementHeader(EBML_IDS.CLUSTER, cluster.dataEnd - cluster.dataOffset),
+            blob.slice(cluster.dataOffset, cluster.dataEnd)
+        );
+    }
+
+    return new Blob(parts, { type: blob.type });
+}
+
+// Seeking lands on video keyframes; audio-only recordings index audio
+function getCueTrack(entries) {
+    const track = entries.find(entry => entry.type === TRACK_TYPES.VIDEO) || entries[0];
+    return track ? track.number : 1;
+}
+
+// Keeps each track's last block and the gap before it, which is all
+// `getDuration` needs, without holding on to every block
+function trackLastBlock(lastBlocks, block) {
+    const last = lastBlocks.get(block.track);
+
+    if (!last) {
+        lastBlocks.set(block.track, { time: block.time, duration: block.duration, gap: null });
+    } else if (block.time >= last.time) {
+        lastBlocks.set(block.track, { time: block.time, duration: block.duration, gap: block.time - last.time });
+    }
+}
+
+// In timecode-scale units, as Info's Duration is. The recording ends when
+// the last frame of its longest track finishes: that frame's stated length,
+// else the track's default frame length, else the gap before it, since
+// MediaRecorder writes neither.
+function getDuration({ info, tracks }, lastBlocks, fallbackDuration) {
+    let duration = 0;
+
+    for (const [number, last] of lastBlocks) {
+        const entry = tracks.entries.find(track => track.number === number);
+        const defaultDuration = entry?.defaultDuration ? entry.defaultDuration / info.timecodeScale : null;
+
+        duration = Math.max(duration, last.time + (last.duration ?? defaultDuration ?? last.gap ?? 0));
+    }
+
+    if (duration > 0) {
+        return duration;
+    }
+
+    return (fallbackDuration * 1e9) / info.timecodeScale;
+}
+
+function encodeSeekHead(positions) {
+    const entries = [
+        [EBML_IDS.INFO, positions.info],
+        [EBML_IDS.TRACKS, positions.tracks],
+        [EBML_IDS.CUES, positions.cues]
+    ].filter(([, position]) => position !== null);
+
+    return encodeElement(EBML_IDS.SEEK_HEAD, concatBytes(entries.map(([id, position]) =>
+        encodeElement(EBML_IDS.SEEK, concatBytes([
+            encodeElement(EBML_IDS.SEEK_ID, encodeId(id)),
+            encodeUint(EBML_IDS.SEEK_POSITION, position)
+        ]))
+    )));
+}
+
+// Cluster positions are relative to the start of the segment's data
+function encodeCues(cuePoints, clusterPositions, cueTrack) {
+    return encodeElement(EBML_IDS.CUES, concatBytes(cuePoints.map(point =>
+        encodeElement(EBML_IDS.CUE_POINT, concatBytes([
+            encodeUint(EBML_IDS.CUE_TIME, point.time),
+            encodeElement(EBML_IDS.CUE_TRACK_POSITIONS, concatBytes([
+                encodeUint(EBML_IDS.CUE_TRACK, cueTrack),
+                encodeUint(EBML_IDS.CUE_CLUSTER_POSITION, clusterPositions[point.index] || 0)
+            ]))
+        ]))
+    )));
+}
@@ -0,0 +1,204 @@
+// services/webm-parser.js
+import {
+    BlobReader,
+    DEFAULT_TIMECODE_SCALE,
+    EBML_IDS,
+    TOP_LEVEL_IDS,
+    parseBlockHeader,
+    parseChildren,
+    parseTracks,
+    readFloat,
+    readUint
+} from './ebml.js';
+
+// Largest SimpleBlock header: an 8-byte track number, timecode and flags
+const MAX_BLOCK_HEADER_SIZE = 11;
+
+// Walks a WebM recording without loading it: the header elements are read
+// into memory, clusters are only located and summarized. Each frame is
+// passed to `onBlock` as `{ track, time, duration, keyframe, lacing,
+// dataOffset, size }`, with `time` in timecode-scale units and the frame at
+// `blob.slice(dataOffset, dataOffset + size)`. `duration` is only known for
+// blocks that state one, and is null otherwise.
+//
+// A recording cut short by a crash ends in a partial element; everything up
+// to the last complete one is kept.
+//
+// With `headerOnly` the walk stops at the first cluster, for callers that
+// only need the Info and Tracks that come before it.
+export async function scanWebM(blob, { onBlock, headerOnly = false } = {}) {
+    const reader = new BlobReader(blob);
+
+    const ebml = await reader.readElement(0);
+    if (!ebml || ebml.id !== EBML_IDS.EBML || ebml.end === null) {
+        throw new Error('Recording is not a valid WebM container');
+    }
+
+    const segment = await reader.readElement(ebml.end);
+    if (!segment || segment.id !== EBML_IDS.SEGMENT) {
+        throw new Error('Recording has no WebM segment');
+    }
+
+    const segmentEnd = segment.end === null ? blob.size : Math.min(blob.size, segment.end);
+    const structure = {
+        ebmlEnd: ebml.end,
+        segmentDataOffset: segment.dataOffset,
+        info: null,
+        tracks: null,
+        others: [],
+        clusters: []
+    };
+
+    let offset = segment.dataOffset;
+    while (offset < segmentEnd) {
+        const element = await reader.readElement(offset);
+        if (!element) break;
+
+        if (element.id === EBML_IDS.CLUSTER) {
+            if (headerOnly) break;
+
+            const cluster = await scanCluster(reader, element, segmentEnd, structure.clusters.length, onBlock);
+            if (cluster.dataEnd > cluster.dataOffset) {
+                structure.clusters.push(cluster);
+            }
+            offset = cluster.dataEnd;
+
+            // A cluster of known size cut short leaves nothing after it
+            if (element.end !== null && cluster.dataEnd < element.end) break;
+            continue;
+        }
+
+        if (element.end === null || element.end > segmentEnd) break;
+
+        switch (element.id) {
+            case EBML_IDS.INFO:
+                structure.info = parseInfo(await reader.readBytes(element.dataOffset, element.size));
+                break;
+
+            case EBML_IDS.TRACKS: {
+                const data = await reader.readBytes(element.dataOffset, element.size);
+                structure.tracks = { offset: element.offset, end: element.end, entries: parseTracks(data) };
+                break;
+            }
+
+            case EBML_IDS.SEEK_HEAD:
+            case EBML_IDS.CUES:
+            case EBML_IDS.VOID:
+                // Indexes and padding describe the old layout
+                break;
+
+            default:
+                structure.others.push({ offset: element.offset, end: element.end });
+        }
+
+        offset = element.end;
+    }
+
+    if (!structure.info || !structure.tracks) {
+        throw new Error('Recording is missing its WebM header');
+    }
+
+    return structure;
+}
+
+// Info children other than Duration are kept as they are
+function parseInfo(data) {
+    const children = parseChildren(data);
+    const scale = children.find(child => child.id === EBML_IDS.TIMECODE_SCALE);
+    const duration = children.find(child => child.id === EBML_IDS.DURATION);
+
+    return {
+        timecodeScale: scale ? readUint(scale.data) : DEFAULT_TIMECODE_SCALE,
+        duration: duration ? readFloat(duration.data) : null,
+        children: children
+            .filter(child => ![EBML_IDS.DURATION, EBML_IDS.VOID, EBML_IDS.CRC32].includes(child.id))
+            .map(child => data.subarray(child.offset, child.end))
+    };
+}
+
+async function scanCluster(reader, element, segmentEnd, index, onBlock) {
+    const end = element.end === null ? segmentEnd : Math.min(segmentEnd, element.end);
+    const cluster = {
+        offset: element.offset,
+        dataOffset: element.dataOffset,
+        dataEnd: element.dataOffset,
+        timecode: 0,
+        keyframeTimes: {}
+    };
+
+    const addBlock = (header, dataOffset, size, keyframe, duration = null) => {
+        const time = cluster.timecode + header.timecode;
+
+        if (keyframe && !(header.track in cluster.keyframeTimes)) {
+            cluster.keyframeTimes[header.track] = time;
+        }
+
+        onBlock?.({
+            track: header.track,
+            time,
+            duration,
+            keyframe,
+            lacing: (header.flags >> 1) & 0x03,
+            dataOffset: dataOffset + header.headerSize,
+            size: size - header.headerSize,
+            clusterIndex: index
+        });
+    };
+
+    let offset = element.dataOffset;
+    while (offset < end) {
+        const child = await reader.readElement(offset);
+
+        // Unknown-size clusters run until the next top-level element
+        if (!child || child.end === null || TOP_LEVEL_IDS.has(child.id) || child.end > end) break;
+
+        switch (child.id) {
+            case EBML_IDS.TIMECODE:
+                cluster.timecode = readUint(await reader.read(child.dataOffset, child.size));
+                break;
+
+            case EBML_IDS.SIMPLE_BLOCK: {
+                const header = parseBlockHeader(await reader.read(child.dataOffset, Math.min(child.size, MAX_BLOCK_HEADER_SIZE)));
+                addBlock(header, child.dataOffset, child.size, Boolean(header.flags & 0x80));
+                break;
+            }
+
+            case EBML_IDS.BLOCK_GROUP: {
+                // Only the children's headers are needed, not the frame
+                const fields = await readGroupFields(reader, child);
+                const block = fields.find(field => field.id === EBML_IDS.BLOCK);
+                const blockDuration = fields.find(field => field.id === EBML_IDS.BLOCK_DURATION);
+
+                if (block) {
+                    const duration = blockDuration
+                        ? readUint(await reader.read(blockDuration.dataOffset, blockDuration.size))
+                        : null;
+                    const header = parseBlockHeader(await reader.read(block.dataOffset, Math.min(block.size, MAX_BLOCK_HEADER_SIZE)));
+                    const keyframe = !fields.some(field => field.id === EBML_IDS.REFERENCE_BLOCK);
+                    addBlock(header, block.dataOffset, block.size, keyframe, duration);
+                }
+                break;
+            }
+        }
+
+        offset = child.end;
+        cluster.dataEnd = offset;
+    }
+
+    return cluster;
+}
+
+async function readGroupFields(reader, group) {
+    const fields = [];
+    let offset = group.dataOffset;
+
+    while (offset < group.end) {
+        const field = await reader.readElement(offset);
+        if (!field || field.end === null || field.end > group.end) break;
+
+        fields.push(field);
+        offset = field.end;
+    }
+
+    return fields;
+}
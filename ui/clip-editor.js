@@ -0,0 +1,515 @@
+// ui/clip-editor.js
+import { MediaStore } from '../services/media-store.js';
+import { TRACK_TYPES } from '../services/ebml.js';
+import { scanWebM } from '../services/webm-parser.js';
+import { clipWebM } from '../services/webm-clipper.js';
+import { captureFrames, getFrameTimes } from '../services/video-frames.js';
+
+const THUMBNAIL_COUNT = 12;
+const WAVEFORM_BUCKETS = 600;
+
+// Parts shorter than this left between cuts are dropped rather than kept
+const MIN_RANGE_SECONDS = 0.5;
+
+// A press that moves less than this is a click on the timeline, not a drag
+const DRAG_THRESHOLD_PX = 4;
+
+// Cuts one recording, given as `?id=<recording id>`, into a new recording
+// made of the part between its in and out points minus any cut ranges
+class ClipEditor {
+    constructor() {
+        this.recordingId = new URLSearchParams(location.search).get('id');
+        this.recording = null;
+        this.blob = null;
+        this.mediaUrl = null;
+        this.thumbnailUrls = [];
+        this.duration = 0;
+        this.inPoint = 0;
+        this.outPoint = 0;
+        this.cuts = [];
+        this.selection = null;
+        this.drag = null;
+        this.saving = false;
+        this.video = document.getElementById('editor-video');
+        this.timeline = document.getElementById('timeline');
+
+        this.init();
+    }
+
+    async init() {
+        this.setupEventListeners();
+        await this.loadRecording();
+    }
+
+    setupEventListeners() {
+        document.getElementById('set-in-btn').addEventListener('click', () => this.setInPoint());
+        document.getElementById('set-out-btn').addEventListener('click', () => this.setOutPoint());
+        document.getElementById('cut-btn').addEventListener('click', () => this.cutSelection());
+        document.getElementById('reset-btn').addEventListener('click', () => this.reset());
+        document.getElementById('save-btn').addEventListener('click', () => this.saveClip());
+
+        document.getElementById('cut-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-cut-index]');
+            if (button) this.removeCut(Number(button.dataset.cutIndex));
+        });
+
+        this.video.addEventListener('timeupdate', () => {
+            this.skipRemovedParts();
+            this.renderPlayhead();
+        });
+
+        this.timeline.addEventListener('pointerdown', (e) => this.startDrag(e));
+        this.timeline.addEventListener('pointermove', (e) => this.moveDrag(e));
+        this.timeline.addEventListener('pointerup', () => this.endDrag());
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        window.addEventListener('pagehide', () => {
+            if (this.mediaUrl) URL.revokeObjectURL(this.mediaUrl);
+            this.thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        });
+    }
+
+    async loadRecording() {
+        try {
+            if (!this.recordingId) {
+                throw new Error('No recording selected');
+            }
+
+            const response = await chrome.runtime.sendMessage({
+                action: 'GET_RECORDING_SOURCE',
+                data: { id: this.recordingId }
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load recording');
+            }
+
+            this.recording = response.recording;
+            if (!(this.recording.mimeType || 'video/webm').startsWith('video/webm')) {
+                throw new Error('Only WebM recordings can be clipped without re-encoding');
+            }
+
+            this.blob = await this.getMediaBlob(response);
+            this.mediaUrl = URL.createObjectURL(this.blob);
+            this.renderHeader();
+
+            await new Promise((resolve, reject) => {
+                this.video.addEventListener('loadedmetadata', resolve, { once: true });
+                this.video.addEventListener('error', () => reject(new Error('Recording could not be played')), { once: true });
+                this.video.src = this.mediaUrl;
+            });
+
+            // Recordings without a duration in their header report Infinity
+            this.duration = Number.isFinite(this.video.duration) ? this.video.duration : this.recording.duration || 0;
+            this.outPoint = this.duration;
+            document.getElementById('clip-title').value = `${this.recording.title || 'Untitled Recording'} (clip)`;
+
+            this.render();
+
+            // Neither is needed to edit, so they fill in as they finish
+            this.renderWaveform();
+            this.renderThumbnails();
+        } catch (error) {
+            console.error('Failed to load recording:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // Clipping needs the bytes, so cloud recordings are downloaded first
+    async getMediaBlob({ recording, url }) {
+        if (url) {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to download recording: ${response.status}`);
+            }
+            return response.blob();
+        }
+
+        const blob = await new MediaStore().getMedia(recording.mediaId);
+        if (!blob) {
+            throw new Error('Recording media not found');
+        }
+        return blob;
+    }
+
+    renderHeader() {
+        const title = this.recording.title || 'Untitled Recording';
+
+        document.title = `Clip ${title} - Meeting Recorder Pro`;
+        document.getElementById('recording-title').textContent = `Clip: ${title}`;
+        document.getElementById('recording-meta').textContent = this.recording.duration
+            ? `Source length ${this.formatOffset(this.recording.duration)}`
+            : '';
+    }
+
+    // Decoding an hour of audio would take gigabytes of memory. Opus packets
+    // grow with loudness, so their sizes over time sketch the waveform
+    // without decoding anything, which is enough to spot the silences.
+    async renderWaveform() {
+        try {
+            const packets = new Map();
+            const structure = await scanWebM(this.blob, {
+                onBlock: (block) => {
+                    if (!packets.has(block.track)) packets.set(block.track, []);
+                    packets.get(block.track).push([block.time, block.size]);
+                }
+            });
+
+            const audio = structure.tracks.entries.find(entry => entry.type === TRACK_TYPES.AUDIO);
+            if (!audio || !packets.has(audio.number) || !this.duration) return;
+
+            const levels = new Array(WAVEFORM_BUCKETS).fill(0);
+            for (const [time, size] of packets.get(audio.number)) {
+                const seconds = (time * structure.info.timecodeScale) / 1e9;
+                const bucket = Math.floor((seconds / this.duration) * WAVEFORM_BUCKETS);
+
+                if (bucket >= 0 && bucket < WAVEFORM_BUCKETS) {
+                    levels[bucket] = Math.max(levels[bucket], size);
+                }
+            }
+
+            this.drawWaveform(levels);
+        } catch (error) {
+            console.warn('Could not draw waveform:', error);
+        }
+    }
+
+    drawWaveform(levels) {
+        const canvas = document.getElementById('waveform');
+        const width = canvas.clientWidth * devicePixelRatio;
+        const height = canvas.clientHeight * devicePixelRatio;
+        const context = canvas.getContext('2d');
+
+        canvas.width = width;
+        canvas.height = height;
+
+        // Silent packets are a few bytes; scale to the loudest speech, not
+        // to the rare oversized packet
+        const sorted = levels.filter(level => level > 0).sort((a, b) => a - b);
+        const floor = sorted[0] || 0;
+        const peak = sorted[Math.floor(sorted.length * 0.98)] || 1;
+        const barWidth = width / levels.length;
+
+        context.fillStyle = '#667eea';
+        levels.forEach((level, i) => {
+            const amount = Math.min(1, Math.max(0, (level - floor) / Math.max(1, peak - floor)));
+            const barHeight = Math.max(1, amount * height);
+            context.fillRect(i * barWidth, (height - barHeight) / 2, Math.max(1, barWidth - 1), barHeight);
+        });
+    }
+
+    async renderThumbnails() {
+        if (!this.duration) return;
+
+        try {
+            // Recordings that went through the pipeline already have a strip
+            const stored = this.recording.thumbnailId
+                ? await new MediaStore().getThumbnails(this.recording.thumbnailId)
+                : null;
+
+            const frames = stored?.frames.length
+                ? stored.frames
+                : await captureFrames(this.mediaUrl, getFrameTimes(this.duration, THUMBNAIL_COUNT), { width: 120 });
+            this.thumbnailUrls = frames.map(frame => (frame ? URL.createObjectURL(frame) : ''));
+
+            document.getElementById('thumbnail-strip').innerHTML = this.thumbnailUrls
+                .map(url => (url ? `<img src="${url}" alt="">` : '<img alt="">'))
+                .join('');
+        } catch (error) {
+            console.warn('Could not capture thumbnails:', error);
+        }
+    }
+
+    // The source's stretches the clip keeps: in to out, less every cut
+    getKeptRanges() {
+        let ranges = [{ start: this.inPoint, end: this.outPoint }];
+
+        for (const cut of this.cuts) {
+            ranges = ranges.flatMap(range => {
+                if (cut.end <= range.start || cut.start >= range.end) return [range];
+
+                return [
+                    { start: range.start, end: cut.start },
+                    { start: cut.end, end: range.end }
+                ].filter(part => part.end - part.start >= MIN_RANGE_SECONDS);
+            });
+        }
+
+        return ranges;
+    }
+
+    setInPoint() {
+        this.inPoint = Math.min(this.video.currentTime, this.outPoint - MIN_RANGE_SECONDS);
+        this.inPoint = Math.max(0, this.inPoint);
+        this.render();
+    }
+
+    setOutPoint() {
+        this.outPoint = Math.max(this.video.currentTime, this.inPoint + MIN_RANGE_SECONDS);
+        this.outPoint = Math.min(this.duration, this.outPoint);
+        this.render();
+    }
+
+    cutSelection() {
+        if (!this.selection) return;
+
+        this.cuts = [...this.cuts, this.selection].sort((a, b) => a.start - b.start);
+        this.selection = null;
+        this.render();
+    }
+
+    removeCut(index) {
+        this.cuts = this.cuts.filter((_, i) => i !== index);
+        this.render();
+    }
+
+    reset() {
+        this.inPoint = 0;
+        this.outPoint = this.duration;
+        this.cuts = [];
+        this.selection = null;
+        this.render();
+    }
+
+    timeAtPointer(e) {
+        const rect = this.timeline.getBoundingClientRect();
+        const fraction = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+        return fraction * this.duration;
+    }
+
+    startDrag(e) {
+        if (!this.duration) return;
+
+        this.timeline.setPointerCapture(e.pointerId);
+        this.drag = { x: e.clientX, time: this.timeAtPointer(e), moved: false };
+    }
+
+    moveDrag(e) {
+        if (!this.drag) return;
+
+        if (!this.drag.moved && Math.abs(e.clientX - this.drag.x) < DRAG_THRESHOLD_PX) return;
+        this.drag.moved = true;
+
+        const time = this.timeAtPointer(e);
+        this.selection = {
+            start: Math.min(this.drag.time, time),
+            end: Math.max(this.drag.time, time)
+        };
+        this.renderTimeline();
+    }
+
+    endDrag() {
+        if (!this.drag) return;
+
+        const { moved, time } = this.drag;
+        this.drag = null;
+
+        if (!moved) {
+            this.selection = null;
+            this.video.currentTime = time;
+        }
+
+        this.render();
+    }
+
+    // Plays the clip as it will be by jumping over whatever was removed
+    skipRemovedParts() {
+        if (this.video.paused || this.video.seeking || !document.getElementById('skip-cuts').checked) return;
+
+        const time = this.video.currentTime;
+        const next = this.getKeptRanges().find(range => time < range.end);
+
+        if (!next) {
+            this.video.pause();
+        } else if (time < next.start) {
+            this.video.currentTime = next.start;
+        }
+    }
+
+    handleKeydown(e) {
+        if (e.target.closest('input, select, textarea') || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        switch (e.key) {
+            case 'i':
+                this.setInPoint();
+                break;
+
+            case 'o':
+                this.setOutPoint();
+                break;
+
+            case 'x':
+            case 'Delete':
+                this.cutSelection();
+                break;
+
+            case 'Escape':
+                this.selection = null;
+                this.render();
+                break;
+
+            case ' ':
+                if (this.video.paused) {
+                    this.video.play();
+                } else {
+                    this.video.pause();
+                }
+                break;
+
+            default:
+                return;
+        }
+
+        e.preventDefault();
+    }
+
+    async saveClip() {
+        if (this.saving) return;
+
+        const ranges = this.getKeptRanges();
+        if (ranges.length === 0) {
+            this.showStatus('Nothing is left to keep', 'error');
+            return;
+        }
+
+        this.saving = true;
+        document.getElementById('save-btn').disabled = true;
+        this.showStatus('Cutting clip...');
+
+        const id = `local-clip-${Date.now()}`;
+        const mediaStore = new MediaStore();
+        let stored = false;
+
+        try {
+            const clip = await clipWebM(this.blob, ranges);
+
+            // The background cannot be handed a blob, so the clip goes
+            // straight to the media store and the background picks it up there
+            await mediaStore.putMedia(id, clip.blob);
+            stored = true;
+
+            this.showStatus('Saving clip...');
+            const response = await chrome.runtime.sendMessage({
+                action: 'CREATE_CLIP',
+                data: {
+                    sourceId: this.recording.id,
+                    id,
+                    title: document.getElementById('clip-title').value.trim(),
+                    ranges: clip.ranges
+                }
+            });
+
+            if (!response.success && !response.recordingId) {
+                throw new Error(response.error || 'Failed to save clip');
+            }
+
+            this.showStatus(response.success
+                ? 'Clip saved. It is listed in the dashboard.'
+                : `Clip saved, but its ${response.stage} step failed: ${response.error}. Retry it from the dashboard.`,
+            response.success ? 'success' : 'error');
+        } catch (error) {
+            console.error('Failed to save clip:', error);
+            this.showStatus(error.message, 'error');
+
+            if (stored) {
+                mediaStore.deleteMedia(id).catch(() => {});
+            }
+        } finally {
+            this.saving = false;
+            document.getElementById('save-btn').disabled = false;
+        }
+    }
+
+    render() {
+        this.renderTimeline();
+        this.renderRanges();
+    }
+
+    renderTimeline() {
+        const percent = time => (this.duration ? (time / this.duration) * 100 : 0);
+        const removed = [
+            { start: 0, end: this.inPoint },
+            ...this.cuts,
+            { start: this.outPoint, end: this.duration }
+        ].filter(range => range.end > range.start);
+
+        document.getElementById('timeline-overlay').innerHTML = [
+            ...removed.map(range => `
+                <div class="timeline-removed" style="left: ${percent(range.start)}%; width: ${percent(range.end - range.start)}%"></div>
+            `),
+            this.selection ? `
+                <div class="timeline-selection" style="left: ${percent(this.selection.start)}%; width: ${percent(this.selection.end - this.selection.start)}%"></div>
+            ` : ''
+        ].join('');
+
+        document.getElementById('cut-btn').disabled = !this.selection;
+        this.renderPlayhead();
+    }
+
+    renderPlayhead() {
+        const left = this.duration ? (this.video.currentTime / this.duration) * 100 : 0;
+        document.getElementById('timeline-playhead').style.left = `${Math.min(100, left)}%`;
+    }
+
+    renderRanges() {
+        const kept = this.getKeptRanges();
+        const length = kept.reduce((total, range) => total + range.end - range.start, 0);
+        const formatRange = range => `${this.formatOffset(range.start)} – ${this.formatOffset(range.end)}`;
+
+        document.getElementById('kept-list').innerHTML = kept.length
+            ? kept.map(range => `<li><span>${formatRange(range)}</span></li>`).join('')
+            : '<li>Nothing</li>';
+
+        document.getElementById('cut-list').innerHTML = this.cuts.length
+            ? this.cuts.map((cut, index) => `
+                <li>
+                    <span>${formatRange(cut)}</span>
+                    <button class="range-remove" data-cut-index="${index}">Remove</button>
+                </li>
+            `).join('')
+            : '<li>None</li>';
+
+        document.getElementById('clip-summary').innerHTML = `
+            Clip length <strong>${this.formatOffset(length)}</strong> of ${this.formatOffset(this.duration)}.
+            Frames are copied, not re-encoded, so each part starts at the keyframe
+            before its mark and may begin a few seconds early.
+        `;
+    }
+
+    showStatus(message, type = '') {
+        const status = document.getElementById('clip-status');
+        status.className = `clip-status ${type}`;
+        status.textContent = message;
+    }
+
+    showError(message) {
+        document.getElementById('recording-title').textContent = 'Recording unavailable';
+        document.getElementById('editor-container').classList.add('no-panel');
+        document.getElementById('editor-container').innerHTML = `
+            <div class="editor-card editor-error">${this.escapeHtml(message)}</div>
+        `;
+    }
+
+    formatOffset(seconds) {
+        const total = Math.floor(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = (total % 60).toString().padStart(2, '0');
+
+        return hours > 0
+            ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}`
+            : `${minutes}:${secs}`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize editor
+document.addEventListener('DOMContentLoaded', () => {
+    new ClipEditor();
+});
@@ -0,0 +1,294 @@
+// ui/player.js
+import { MediaStore } from '../services/media-store.js';
+
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+
+// Seconds skipped by the arrow keys, and by J and L
+const SHORT_SEEK_SECONDS = 5;
+const LONG_SEEK_SECONDS = 10;
+
+const PANELS = {
+    chapters: 'Chapters',
+    transcript: 'Transcript',
+    chat: 'Chat'
+};
+
+// Plays one recording, given as `?id=<recording id>&t=<seconds to start at>`
+class RecordingPlayer {
+    constructor() {
+        const params = new URLSearchParams(location.search);
+
+        this.recordingId = params.get('id');
+        this.startOffset = parseFloat(params.get('t')) || 0;
+        this.recording = null;
+        this.mediaUrl = null;
+        this.activePanel = null;
+        this.video = document.getElementById('player-video');
+
+        this.init();
+    }
+
+    async init() {
+        this.setupEventListeners();
+        await this.loadRecording();
+    }
+
+    setupEventListeners() {
+        document.getElementById('playback-rate').addEventListener('change', (e) => {
+            this.video.playbackRate = parseFloat(e.target.value);
+        });
+
+        this.video.addEventListener('ratechange', () => {
+            document.getElementById('playback-rate').value = this.video.playbackRate;
+        });
+
+        this.video.addEventListener('timeupdate', () => this.highlightCurrentItem());
+
+        document.getElementById('panel-tabs').addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-panel]');
+            if (tab) this.showPanel(tab.dataset.panel);
+        });
+
+        document.getElementById('panel-list').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-offset]');
+            if (item) this.seek(parseFloat(item.dataset.offset));
+        });
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        window.addEventListener('pagehide', () => {
+            if (this.mediaUrl) URL.revokeObjectURL(this.mediaUrl);
+        });
+    }
+
+    async loadRecording() {
+        try {
+            if (!this.recordingId) {
+                throw new Error('No recording selected');
+            }
+
+            const response = await chrome.runtime.sendMessage({
+                action: 'GET_RECORDING_SOURCE',
+                data: { id: this.recordingId }
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load recording');
+            }
+
+            this.recording = response.recording;
+            this.renderHeader();
+            this.renderPanels();
+
+            this.video.addEventListener('loadedmetadata', () => this.seek(this.startOffset), { once: true });
+            this.video.src = await this.getMediaUrl(response);
+        } catch (error) {
+            console.error('Failed to load recording:', error);
+            this.showError(error.message);
+        }
+    }
+
+    // Local media is read from IndexedDB here because blobs cannot be sent
+    // through extension messaging; cloud media comes with a download URL
+    async getMediaUrl({ recording, url }) {
+        if (url) return url;
+
+        const blob = await new MediaStore().getMedia(recording.mediaId);
+        if (!blob) {
+            throw new Error('Recording media not found');
+        }
+
+        this.mediaUrl = URL.createObjectURL(blob);
+        return this.mediaUrl;
+    }
+
+    renderHeader() {
+        const recording = this.recording;
+        const title = recording.title || 'Untitled Recording';
+        const startTime = recording.startTime || recording.createdAt;
+
+        document.title = `${title} - Meeting Recorder Pro`;
+        document.getElementById('recording-title').textContent = title;
+        document.getElementById('recording-meta').textContent = [
+            startTime ? new Date(startTime).toLocaleString() : '',
+            recording.duration ? this.formatOffset(recording.duration) : ''
+        ].filter(Boolean).join(' · ');
+    }
+
+    getPanelItems(panel) {
+        const recording = this.recording;
+
+        switch (panel) {
+            case 'chapters':
+                return (recording.markers || []).map(marker => ({
+                    start: marker.offset,
+                    text: marker.note || 'Bookmark'
+                }));
+
+            case 'transcript':
+                return (recording.transcript || []).map(line => ({
+                    start: line.start,
+                    end: line.end,
+                    name: line.speaker,
+                    text: line.text
+                }));
+
+            case 'chat':
+                return (recording.chat || []).map(message => ({
+                    start: message.offset,
+                    name: message.sender,
+                    text: message.text
+                }));
+
+            default:
+                return [];
+        }
+    }
+
+    renderPanels() {
+        const panels = Object.keys(PANELS).filter(panel => this.getPanelItems(panel).length > 0);
+
+        if (panels.length === 0) {
+            document.getElementById('side-panel').style.display = 'none';
+            document.getElementById('player-container').classList.add('no-panel');
+            return;
+        }
+
+        this.showPanel(panels[0], panels);
+    }
+
+    showPanel(panel, panels = Object.keys(PANELS).filter(p => this.getPanelItems(p).length > 0)) {
+        this.activePanel = panel;
+
+        document.getElementById('panel-tabs').innerHTML = panels.map(id => `
+            <button class="panel-tab ${id === panel ? 'active' : ''}" data-panel="${id}">
+                ${PANELS[id]} (${this.getPanelItems(id).length})
+            </button>
+        `).join('');
+
+        document.getElementById('panel-list').innerHTML = this.getPanelItems(panel).map((item, index) => `
+            <button class="panel-item" data-offset="${item.start}" data-index="${index}">
+                <span class="panel-time">${this.formatOffset(item.start)}</span>
+                <span>${item.name ? `<span class="panel-name">${this.escapeHtml(item.name)}</span>` : ''}${this.escapeHtml(item.text)}</span>
+            </button>
+        `).join('');
+
+        this.highlightCurrentItem();
+    }
+
+    // Marks the item playing now: the transcript line being spoken, or the
+    // latest chapter or chat message reached
+    highlightCurrentItem() {
+        if (!this.activePanel) return;
+
+        const time = this.video.currentTime;
+        const items = this.getPanelItems(this.activePanel);
+        let current = -1;
+
+        items.forEach((item, index) => {
+            if (item.start <= time && (item.end === undefined || time < item.end)) {
+                current = index;
+            }
+        });
+
+        document.querySelectorAll('#panel-list .panel-item').forEach(element => {
+            const isCurrent = Number(element.dataset.index) === current;
+
+            if (isCurrent && !element.classList.contains('active') && !this.video.paused) {
+                element.scrollIntoView({ block: 'nearest' });
+            }
+            element.classList.toggle('active', isCurrent);
+        });
+    }
+
+    handleKeydown(e) {
+        if (e.target.closest('input, select, textarea') || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        switch (e.key) {
+            case ' ':
+            case 'k':
+                if (this.video.paused) {
+                    this.video.play();
+                } else {
+                    this.video.pause();
+                }
+                break;
+
+            case 'ArrowLeft':
+                this.seek(this.video.currentTime - SHORT_SEEK_SECONDS);
+                break;
+
+            case 'ArrowRight':
+                this.seek(this.video.currentTime + SHORT_SEEK_SECONDS);
+                break;
+
+            case 'j':
+                this.seek(this.video.currentTime - LONG_SEEK_SECONDS);
+                break;
+
+            case 'l':
+                this.seek(this.video.currentTime + LONG_SEEK_SECONDS);
+                break;
+
+            case '<':
+            case '>':
+                this.stepPlaybackRate(e.key === '>' ? 1 : -1);
+                break;
+
+            case 'Home':
+                this.seek(0);
+                break;
+
+            default:
+                return;
+        }
+
+        // Keep the focused video or button from acting on the key as well
+        e.preventDefault();
+    }
+
+    stepPlaybackRate(direction) {
+        const index = PLAYBACK_RATES.indexOf(this.video.playbackRate);
+        const next = index === -1
+            ? PLAYBACK_RATES.indexOf(1)
+            : Math.min(PLAYBACK_RATES.length - 1, Math.max(0, index + direction));
+
+        this.video.playbackRate = PLAYBACK_RATES[next];
+    }
+
+    seek(seconds) {
+        // Recordings without a duration in their header report Infinity
+        const duration = Number.isFinite(this.video.duration) ? this.video.duration : this.recording?.duration;
+        this.video.currentTime = Math.max(0, duration ? Math.min(duration, seconds) : seconds);
+    }
+
+    showError(message) {
+        document.getElementById('recording-title').textContent = 'Recording unavailable';
+        document.getElementById('player-container').classList.add('no-panel');
+        document.getElementById('player-container').innerHTML = `
+            <div class="player-card player-error">${this.escapeHtml(message)}</div>
+        `;
+    }
+
+    formatOffset(seconds) {
+        const total = Math.floor(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = (total % 60).toString().padStart(2, '0');
+
+        return hours > 0
+            ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}`
+            : `${minutes}:${secs}`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize player
+document.addEventListener('DOMContentLoaded', () => {
+    new RecordingPlayer();
+});
@@ -1,18 +1,32 @@
 // ui/popup.js
+const PIPELINE_STAGE_LABELS = {
+    receive: 'Receiving',
+    finalize: 'Finalizing',
+    checksum: 'Verifying',
+    store: 'Saving',
+    thumbnails: 'Making previews',
+    upload: 'Uploading',
+    notify: 'Notifying'
+};
+
 class PopupController {
     constructor() {
         this.recordingStatus = {
             isRecording: false,
             isPaused: false,
-            startTime: null
+            startTime: null,
+            pauses: []
         };
         this.timer = null;
+        this.posterUrls = new Map();
 
         this.init();
     }
 
     async init() {
         this.setupEventListeners();
+        await this.loadSettings();
+        await this.loadDevices();
         await this.checkRecordingStatus();
         await this.loadRecentRecordings();
     }
@@ -24,10 +38,193 @@ class PopupController {
         document.getElementById('resume-btn')?.addEventListener('click', () => this.resumeRecording());
         document.getElementById('stop-btn')?.addEventListener('click', () => this.stopRecording());
 
+        // Screen and current tab are alternative video sources
+        const includeScreen = document.getElementById('include-screen');
+        const includeTab = document.getElementById('include-tab');
+
+        includeScreen?.addEventListener('change', () => {
+            if (includeScreen.checked) includeTab.checked = false;
+        });
+        includeTab?.addEventListener('change', () => {
+            if (includeTab.checked) includeScreen.checked = false;
+        });
+
+        // Mixer levels are saved as soon as they change
+        ['mic-gain', 'system-audio-gain'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => this.updateGainLabels());
+            document.getElementById(id)?.addEventListener('change', () => this.saveGains());
+        });
+
+        // Preferred input devices
+        document.getElementById('mic-device')?.addEventListener('change', (e) => {
+            this.savePreferredDevice('audioinput', e.target.value);
+        });
+        document.getElementById('camera-device')?.addEventListener('change', (e) => {
+            this.savePreferredDevice('videoinput', e.target.value);
+        });
+
+        // Webcam overlay layout
+        ['camera-position', 'camera-size', 'camera-shape'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.saveCameraLayout());
+        });
+        document.getElementById('include-camera')?.addEventListener('change', (e) => {
+            document.getElementById('camera-layout').style.display = e.target.checked ? 'flex' : 'none';
+        });
+
         // Dashboard button
         document.getElementById('open-dashboard')?.addEventListener('click', () => {
             chrome.tabs.create({ url: chrome.runtime.getURL('ui/dashboard.html') });
         });
+
+        // Retry buttons on recordings whose pipeline failed
+        document.getElementById('recordings-list')?.addEventListener('click', (e) => {
+            const retryBtn = e.target.closest('.retry-btn');
+            if (retryBtn) {
+                this.retryStage(retryBtn.dataset.id, retryBtn.dataset.stage);
+            }
+        });
+
+        document.getElementById('open-settings')?.addEventListener('click', () => {
+            chrome.runtime.openOptionsPage();
+        });
+
+        chrome.runtime.onMessage.addListener((message) => {
+            switch (message.action) {
+                // Keep the recent list in step with post-recording processing
+                case 'RECORDING_PIPELINE_UPDATED':
+                    this.loadRecentRecordings();
+                    break;
+
+                case 'AUDIO_LEVELS':
+                    this.updateLevels(message.data.levels);
+                    break;
+
+                case 'MIC_SILENT':
+                    this.showMessage(`Microphone silent for ${message.data.seconds}s. Is it muted?`, 'error');
+                    break;
+            }
+        });
+    }
+
+    async loadSettings() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'GET_SETTINGS'
+            });
+
+            if (response.success && response.settings) {
+                const {
+                    micGain = 1,
+                    systemAudioGain = 1,
+                    cameraPosition = 'bottom-right',
+                    cameraSize = 'medium',
+                    cameraShape = 'circle'
+                } = response.settings;
+
+                document.getElementById('mic-gain').value = Math.round(micGain * 100);
+                document.getElementById('system-audio-gain').value = Math.round(systemAudioGain * 100);
+                this.updateGainLabels();
+
+                document.getElementById('camera-position').value = cameraPosition;
+                document.getElementById('camera-size').value = cameraSize;
+                document.getElementById('camera-shape').value = cameraShape;
+            }
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+        }
+    }
+
+    updateGainLabels() {
+        document.getElementById('mic-gain-value').textContent = `${document.getElementById('mic-gain').value}%`;
+        document.getElementById('system-audio-gain-value').textContent = `${document.getElementById('system-audio-gain').value}%`;
+    }
+
+    async saveGains() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'UPDATE_SETTINGS',
+                data: {
+                    micGain: document.getElementById('mic-gain').value / 100,
+                    systemAudioGain: document.getElementById('system-audio-gain').value / 100
+                }
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to save audio levels');
+            }
+        } catch (error) {
+            console.error('Failed to save gains:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    async loadDevices() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'GET_MEDIA_DEVICES'
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to list devices');
+            }
+
+            this.renderDeviceOptions('mic-device', 'audioinput', 'Default microphone', response);
+            this.renderDeviceOptions('camera-device', 'videoinput', 'Default camera', response);
+        } catch (error) {
+            console.error('Failed to load devices:', error);
+        }
+    }
+
+    renderDeviceOptions(selectId, kind, defaultLabel, { devices, preferredDevices }) {
+        const select = document.getElementById(selectId);
+        const options = devices.filter(device => device.kind === kind);
+        const preferred = preferredDevices[kind];
+
+        select.innerHTML = `
+            <option value="">${defaultLabel}</option>
+            ${options.map(device => `
+                <option value="${this.escapeHtml(device.deviceId)}">${this.escapeHtml(device.label)}</option>
+            `).join('')}
+        `;
+
+        // A remembered device that is not plugged in records from the default
+        select.value = options.some(device => device.deviceId === preferred) ? preferred : '';
+    }
+
+    async savePreferredDevice(kind, deviceId) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'SET_PREFERRED_DEVICE',
+                data: { kind, deviceId }
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to save device');
+            }
+        } catch (error) {
+            console.error('Failed to save preferred device:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    async saveCameraLayout() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'UPDATE_SETTINGS',
+                data: {
+                    cameraPosition: document.getElementById('camera-position').value,
+                    cameraSize: document.getElementById('camera-size').value,
+                    cameraShape: document.getElementById('camera-shape').value
+                }
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to save camera layout');
+            }
+        } catch (error) {
+            console.error('Failed to save camera layout:', error);
+            this.showMessage(error.message, 'error');
+        }
     }
 
     async checkRecordingStatus() {
@@ -50,15 +247,21 @@ class PopupController {
 
             const options = {
                 includeScreen: document.getElementById('include-screen').checked,
+                includeTab: document.getElementById('include-tab').checked,
                 includeAudio: document.getElementById('include-audio').checked,
-                includeSystemAudio: document.getElementById('include-system-audio').checked
+                includeSystemAudio: document.getElementById('include-system-audio').checked,
+                includeCamera: document.getElementById('include-camera').checked
             };
 
-            if (!options.includeScreen && !options.includeAudio) {
+            if (!options.includeScreen && !options.includeTab && !options.includeAudio && !options.includeCamera) {
                 this.showMessage('Please select at least one recording option', 'error');
                 return;
             }
 
+            // The popup has no tab of its own, so point at the one behind it
+            const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            options.tabId = activeTab?.id;
+
             const response = await chrome.runtime.sendMessage({
                 action: 'START_RECORDING',
                 data: options
@@ -69,10 +272,10 @@ class PopupController {
                 this.recordingStatus = {
                     isRecording: true,
                     isPaused: false,
-                    startTime: response.startTime
+                    startTime: response.startTime,
+                    pauses: []
                 };
                 this.updateUI(this.recordingStatus);
-                this.startTimer();
             } else {
                 throw new Error(response.error || 'Failed to start recording');
             }
@@ -91,8 +294,8 @@ class PopupController {
             if (response.success) {
                 this.showMessage('Recording paused', 'success');
                 this.recordingStatus.isPaused = true;
+                this.recordingStatus.pauses = response.pauses || [];
                 this.updateUI(this.recordingStatus);
-                this.stopTimer();
             } else {
                 throw new Error(response.error || 'Failed to pause recording');
             }
@@ -111,8 +314,8 @@ class PopupController {
             if (response.success) {
                 this.showMessage('Recording resumed', 'success');
                 this.recordingStatus.isPaused = false;
+                this.recordingStatus.pauses = response.pauses || [];
                 this.updateUI(this.recordingStatus);
-                this.startTimer();
             } else {
                 throw new Error(response.error || 'Failed to resume recording');
             }
@@ -133,7 +336,8 @@ class PopupController {
                 this.recordingStatus = {
                     isRecording: false,
                     isPaused: false,
-                    startTime: null
+                    startTime: null,
+                    pauses: []
                 };
                 this.updateUI(this.recordingStatus);
                 this.stopTimer();
@@ -176,8 +380,18 @@ class PopupController {
 
             if (status.startTime) {
                 this.recordingStatus.startTime = status.startTime;
-                this.startTimer();
+                this.recordingStatus.pauses = status.pauses || [];
+
+                // A paused recording shows the time recorded so far
+                if (status.isPaused) {
+                    this.stopTimer();
+                    this.renderElapsedTime();
+                } else {
+                    this.startTimer();
+                }
             }
+
+            document.getElementById('level-meters').style.display = 'block';
         } else {
             statusDot.className = 'status-dot';
             statusText.textContent = 'Ready to Record';
@@ -187,23 +401,45 @@ class PopupController {
             stopBtn.style.display = 'none';
 
             document.getElementById('recording-time').textContent = '00:00';
+            document.getElementById('level-meters').style.display = 'none';
+            this.updateLevels({});
         }
     }
 
+    updateLevels(levels = {}) {
+        ['mic', 'system'].forEach(name => {
+            const fill = document.getElementById(`${name}-level`);
+            fill.style.width = `${Math.round((levels[name] || 0) * 100)}%`;
+            fill.parentElement.parentElement.style.opacity = levels[name] === undefined ? '0.4' : '1';
+        });
+    }
+
+    // Seconds actually recorded: wall-clock time since start minus pauses
+    getElapsedSeconds() {
+        const now = Date.now();
+        const pausedMs = (this.recordingStatus.pauses || []).reduce((total, pause) => {
+            const end = pause.end ? new Date(pause.end).getTime() : now;
+            return total + Math.max(0, end - new Date(pause.start).getTime());
+        }, 0);
+        const elapsedMs = now - new Date(this.recordingStatus.startTime).getTime() - pausedMs;
+
+        return Math.max(0, Math.floor(elapsedMs / 1000));
+    }
+
+    renderElapsedTime() {
+        if (!this.recordingStatus.startTime) return;
+
+        const elapsed = this.getElapsedSeconds();
+        const minutes = Math.floor(elapsed / 60).toString().padStart(2, '0');
+        const seconds = (elapsed % 60).toString().padStart(2, '0');
+        document.getElementById('recording-time').textContent = `${minutes}:${seconds}`;
+    }
+
     startTimer() {
         this.stopTimer();
 
-        const updateTime = () => {
-            if (this.recordingStatus.startTime) {
-                const elapsed = Math.floor((Date.now() - new Date(this.recordingStatus.startTime).getTime()) / 1000);
-                const minutes = Math.floor(elapsed / 60).toString().padStart(2, '0');
-                const seconds = (elapsed % 60).toString().padStart(2, '0');
-                document.getElementById('recording-time').textContent = `${minutes}:${seconds}`;
-            }
-        };
-
-        updateTime();
-        this.timer = setInterval(updateTime, 1000);
+        this.renderElapsedTime();
+        this.timer = setInterval(() => this.renderElapsedTime(), 1000);
     }
 
     stopTimer() {
@@ -233,17 +469,26 @@ class PopupController {
                 } else {
                     recordingsList.innerHTML = recordings.map(recording => `
                         <div class="recording-item">
-                            <div class="recording-title">
-                                ${this.escapeHtml(recording.title || 'Untitled Recording')}
-                                ${recording.isLocal ? '<span style="color: #f59e0b; font-size: 10px;">● LOCAL</span>' : ''}
-                            </div>
-                            <div class="recording-meta">
-                                <span>${this.formatDate(recording.startTime || recording.createdAt)}</span>
-                                <span>${this.formatDuration(recording.duration)}</span>
-                                <span>${this.formatFileSize(recording.fileSize)}</span>
+                            ${recording.thumbnailId ? `
+                                <img class="recording-poster" data-thumbnail-id="${recording.thumbnailId}"
+                                    ${this.posterUrls.get(recording.thumbnailId) ? `src="${this.posterUrls.get(recording.thumbnailId)}"` : ''} alt="">
+                            ` : ''}
+                            <div class="recording-info">
+                                <div class="recording-title">
+                                    ${this.escapeHtml(recording.title || 'Untitled Recording')}
+                                    ${recording.isLocal ? '<span style="color: #f59e0b; font-size: 10px;">● LOCAL</span>' : ''}
+                                </div>
+                                <div class="recording-meta">
+                                    <span>${this.formatDate(recording.startTime || recording.createdAt)}</span>
+                                    <span>${this.formatDuration(recording.duration)}</span>
+                                    <span>${this.formatFileSize(recording.fileSize)}</span>
+                                </div>
+                                ${this.renderPipelineStatus(recording)}
                             </div>
                         </div>
                     `).join('');
+
+                    this.loadPosters(recordings);
                 }
             } else {
                 throw new Error(response.error || 'Failed to load recordings');
@@ -258,6 +503,78 @@ class PopupController {
         }
     }
 
+    // Posters live in IndexedDB beside the media; each is read once and kept
+    // as an object URL while the popup is open
+    async loadPosters(recordings) {
+        const pending = recordings
+            .map(recording => recording.thumbnailId)
+            .filter(id => id && !this.posterUrls.has(id));
+
+        if (pending.length === 0) return;
+
+        try {
+            const { MediaStore } = await import('../services/media-store.js');
+            const mediaStore = new MediaStore();
+
+            for (const id of pending) {
+                const entry = await mediaStore.getThumbnails(id);
+                const url = entry && entry.poster ? URL.createObjectURL(entry.poster) : null;
+
+                this.posterUrls.set(id, url);
+                if (!url) continue;
+
+                document.querySelectorAll(`.recording-poster[data-thumbnail-id="${id}"]`).forEach(img => {
+                    img.src = url;
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to load posters:', error);
+        }
+    }
+
+    renderPipelineStatus(recording) {
+        if (!recording.stages) return '';
+
+        if (recording.pipelineStatus === 'processing') {
+            const stage = Object.keys(recording.stages).find(name => recording.stages[name].status === 'running');
+            return `<div class="pipeline-status">⏳ ${PIPELINE_STAGE_LABELS[stage] || 'Processing'}...</div>`;
+        }
+
+        if (recording.pipelineStatus === 'failed') {
+            const stage = recording.failedStage;
+            return `
+                <div class="pipeline-status failed">
+                    ⚠️ ${PIPELINE_STAGE_LABELS[stage] || 'Processing'} failed
+                    <button class="retry-btn" data-id="${recording.id}" data-stage="${stage}">Retry</button>
+                </div>
+            `;
+        }
+
+        return '';
+    }
+
+    async retryStage(recordingId, stage) {
+        try {
+            this.showMessage('Retrying...', 'info');
+
+            const response = await chrome.runtime.sendMessage({
+                action: 'RETRY_RECORDING_STAGE',
+                data: { id: recordingId, stage }
+            });
+
+            if (response.success) {
+                this.showMessage('Recording processed successfully', 'success');
+            } else {
+                throw new Error(response.error || 'Retry failed');
+            }
+        } catch (error) {
+            console.error('Retry failed:', error);
+            this.showMessage(error.message, 'error');
+        }
+
+        await this.loadRecentRecordings();
+    }
+
     showMessage(message, type = 'info') {
         const container = document.getElementById('message-container');
         const messageEl = document.createElement('div');
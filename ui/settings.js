@@ -0,0 +1,198 @@
+// ui/settings.js
+class SettingsController {
+    constructor() {
+        this.settings = {};
+
+        this.init();
+    }
+
+    async init() {
+        this.setupEventListeners();
+        await this.loadPlatforms();
+        await this.loadShortcuts();
+        await this.loadSettings();
+    }
+
+    setupEventListeners() {
+        document.getElementById('settings-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSettings();
+        });
+
+        // Chrome pages cannot be linked to, only opened as a tab
+        document.getElementById('edit-shortcuts')?.addEventListener('click', () => {
+            chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+        });
+
+        // Pick up shortcuts changed in the other tab
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.loadShortcuts();
+        });
+    }
+
+    async loadPlatforms() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'GET_MEETING_PLATFORMS'
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load platforms');
+            }
+
+            document.getElementById('auto-record-platforms').innerHTML = response.platforms.map(platform => `
+                <label><input type="checkbox" value="${this.escapeHtml(platform.id)}"> ${this.escapeHtml(platform.name)}</label>
+            `).join('');
+        } catch (error) {
+            console.error('Failed to load platforms:', error);
+        }
+    }
+
+    async loadShortcuts() {
+        try {
+            const commands = await chrome.commands.getAll();
+
+            document.getElementById('shortcut-list').innerHTML = commands
+                .filter(command => command.description)
+                .map(command => `
+                    <div class="field">
+                        <div class="field-label">${this.escapeHtml(command.description)}</div>
+                        ${command.shortcut
+                            ? `<span class="shortcut-key">${this.escapeHtml(command.shortcut)}</span>`
+                            : '<span class="shortcut-key unset">Not set</span>'}
+                    </div>
+                `).join('');
+        } catch (error) {
+            console.error('Failed to load shortcuts:', error);
+        }
+    }
+
+    async loadSettings() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'GET_SETTINGS'
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load settings');
+            }
+
+            this.settings = response.settings || {};
+            this.renderSettings();
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+            this.showMessage('Failed to load settings', 'error');
+        }
+    }
+
+    renderSettings() {
+        const settings = this.settings;
+
+        document.getElementById('video-quality').value = settings.videoQuality || 'medium';
+        document.getElementById('video-codec').value = settings.videoCodec || 'vp9';
+        document.getElementById('audio-quality').value = settings.audioQuality || 'medium';
+        document.getElementById('silent-mic-warning').value = settings.silentMicWarningSeconds ?? 30;
+        document.getElementById('auto-upload').checked = settings.autoUpload !== false;
+        document.getElementById('notifications').checked = settings.notifications !== false;
+
+        const autoRecord = settings.autoRecord || {};
+        const platforms = autoRecord.platforms || [];
+
+        document.getElementById('auto-record-enabled').checked = autoRecord.enabled === true;
+        document.getElementById('auto-record-start').checked = autoRecord.startOnJoin !== false;
+        document.getElementById('auto-record-stop').checked = autoRecord.stopOnLeave !== false;
+        document.getElementById('auto-record-countdown').value = autoRecord.countdownSeconds ?? 5;
+        document.getElementById('auto-record-urls').value = (autoRecord.urlPatterns || []).join('\n');
+        document.getElementById('auto-record-keywords').value = (autoRecord.titleKeywords || []).join(', ');
+        document.querySelectorAll('#auto-record-platforms input').forEach(input => {
+            input.checked = platforms.includes(input.value);
+        });
+    }
+
+    collectSettings() {
+        const silentMicWarning = parseInt(document.getElementById('silent-mic-warning').value, 10);
+
+        return {
+            videoQuality: document.getElementById('video-quality').value,
+            videoCodec: document.getElementById('video-codec').value,
+            audioQuality: document.getElementById('audio-quality').value,
+            silentMicWarningSeconds: Number.isFinite(silentMicWarning) ? Math.max(0, silentMicWarning) : 30,
+            autoUpload: document.getElementById('auto-upload').checked,
+            notifications: document.getElementById('notifications').checked,
+            autoRecord: this.collectAutoRecordRules()
+        };
+    }
+
+    collectAutoRecordRules() {
+        const countdown = parseInt(document.getElementById('auto-record-countdown').value, 10);
+        const toList = (value, separator) => value
+            .split(separator)
+            .map(item => item.trim())
+            .filter(Boolean);
+
+        return {
+            enabled: document.getElementById('auto-record-enabled').checked,
+            startOnJoin: document.getElementById('auto-record-start').checked,
+            stopOnLeave: document.getElementById('auto-record-stop').checked,
+            countdownSeconds: Number.isFinite(countdown) ? Math.min(60, Math.max(0, countdown)) : 5,
+            platforms: Array.from(document.querySelectorAll('#auto-record-platforms input:checked'))
+                .map(input => input.value),
+            urlPatterns: toList(document.getElementById('auto-record-urls').value, '\n'),
+            titleKeywords: toList(document.getElementById('auto-record-keywords').value, ',')
+        };
+    }
+
+    async saveSettings() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'UPDATE_SETTINGS',
+                data: this.collectSettings()
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to save settings');
+            }
+
+            this.showMessage('Settings saved');
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showMessage(message, type = 'success') {
+        const toast = document.createElement('div');
+        toast.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            padding: 1rem 1.5rem;
+            border-radius: 8px;
+            color: white;
+            z-index: 9999;
+            font-weight: 500;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+            ${type === 'success' ? 'background: #10b981;' : 'background: #ef4444;'}
+        `;
+        toast.textContent = message;
+
+        document.body.appendChild(toast);
+
+        setTimeout(() => {
+            if (document.body.contains(toast)) {
+                document.body.removeChild(toast);
+            }
+        }, 3000);
+    }
+}
+
+// Initialize settings controller
+document.addEventListener('DOMContentLoaded', () => {
+    new SettingsController();
+});